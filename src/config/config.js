@@ -1,4 +1,8 @@
 require('dotenv').config();
+const { isValidTimezone } = require('../utils/timezone');
+
+// 0 is a valid setting (no retries), so only fall back when unset or invalid
+const upstreamMaxRetries = parseInt(process.env.UPSTREAM_MAX_RETRIES, 10);
 
 const config = {
   port: process.env.PORT || 3000,
@@ -8,13 +12,91 @@ const config = {
   supabase: {
     url: process.env.SUPABASE_URL,
     anonKey: process.env.SUPABASE_ANON_KEY,
-    serviceRoleKey: process.env.SUPABASE_SERVICE_ROLE
+    serviceRoleKey: process.env.SUPABASE_SERVICE_ROLE,
+    // Local JWT verification: HS256 tokens use the project JWT secret,
+    // asymmetric tokens are checked against the project's JWKS
+    jwtSecret: process.env.SUPABASE_JWT_SECRET,
+    jwksUrl: process.env.SUPABASE_JWKS_URL || `${process.env.SUPABASE_URL}/auth/v1/.well-known/jwks.json`,
+    jwtIssuer: process.env.SUPABASE_JWT_ISSUER || `${process.env.SUPABASE_URL}/auth/v1`,
+    jwtAudience: process.env.SUPABASE_JWT_AUDIENCE || 'authenticated',
+    profileCacheTtlSeconds: parseInt(process.env.PROFILE_CACHE_TTL_SECONDS, 10) || 60
   },
   
   // Google AI Configuration
   gemini: {
     apiKey: process.env.GEMINI_API_KEY,
-    baseUrl: 'https://generativelanguage.googleapis.com'
+    // Extra keys for the key pool (comma separated); GEMINI_API_KEY is always included
+    apiKeys: [...new Set([
+      process.env.GEMINI_API_KEY,
+      ...(process.env.GEMINI_API_KEYS || '').split(',')
+    ].map(key => key && key.trim()).filter(Boolean))],
+    baseUrl: 'https://generativelanguage.googleapis.com',
+    keyPool: {
+      strategy: process.env.GEMINI_KEY_STRATEGY || 'round-robin', // or 'least-used'
+      cooldownMs: parseInt(process.env.GEMINI_KEY_COOLDOWN_MS, 10) || 60 * 1000,
+      maxCooldownMs: 60 * 60 * 1000,
+      requestsPerMinute: parseInt(process.env.GEMINI_KEY_RPM_LIMIT, 10) || 0, // 0 = no limit
+      tokensPerMinute: parseInt(process.env.GEMINI_KEY_TPM_LIMIT, 10) || 0 // 0 = no limit
+    }
+  },
+  
+  // Upstream retry and circuit breaker settings for Gemini calls
+  upstream: {
+    maxRetries: Number.isNaN(upstreamMaxRetries) ? 2 : Math.max(upstreamMaxRetries, 0),
+    baseDelayMs: 250,
+    maxDelayMs: 4000,
+    // Don't wait out a Retry-After longer than this; return the error instead
+    maxRetryAfterMs: 10000,
+    circuitBreaker: {
+      failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD, 10) || 5,
+      resetTimeoutMs: parseInt(process.env.CIRCUIT_BREAKER_RESET_MS, 10) || 30000
+    }
+  },
+  
+  // Opt-in cache for deterministic generateContent and countTokens calls.
+  // Clients opt in per request with `X-Proxy-Cache: on`.
+  responseCache: {
+    enabled: process.env.RESPONSE_CACHE_ENABLED === 'true',
+    ttlSeconds: parseInt(process.env.RESPONSE_CACHE_TTL_SECONDS, 10) || 60 * 60,
+    scope: process.env.RESPONSE_CACHE_SCOPE || 'user' // or 'tenant'
+  },
+  
+  // Budget threshold webhooks. Each threshold is a percentage of the daily
+  // token or cost limit and notifies at most once per user per quota day.
+  budgetAlerts: {
+    webhookUrl: process.env.BUDGET_WEBHOOK_URL || null,
+    webhookSecret: process.env.BUDGET_WEBHOOK_SECRET || null,
+    thresholds: (process.env.BUDGET_ALERT_THRESHOLDS || '50,80,100')
+      .split(',')
+      .map(value => parseFloat(value))
+      .filter(value => value > 0)
+      .sort((a, b) => a - b),
+    maxAttempts: parseInt(process.env.BUDGET_WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+    baseDelayMs: 1000,
+    maxDelayMs: 60 * 1000,
+    timeoutMs: 5000
+  },
+  
+  // Prepaid credit. Users with a credit wallet pay for each call from it;
+  // users without one are unaffected. Holds left by calls that never
+  // settle lapse after holdTtlSeconds.
+  credits: {
+    enabled: process.env.CREDITS_ENABLED === 'true',
+    holdTtlSeconds: parseInt(process.env.CREDIT_HOLD_TTL_SECONDS, 10) || 5 * 60
+  },
+  
+  // gRPC server. TLS is off by default (Cloud Run terminates TLS in front
+  // of the container). For mTLS, set a CA file and require client certs.
+  grpc: {
+    port: parseInt(process.env.GRPC_PORT, 10) || 9090,
+    tls: {
+      enabled: process.env.GRPC_TLS_ENABLED === 'true',
+      certFile: process.env.GRPC_TLS_CERT_FILE,
+      keyFile: process.env.GRPC_TLS_KEY_FILE,
+      caFile: process.env.GRPC_TLS_CA_FILE,
+      requireClientCert: process.env.GRPC_TLS_REQUIRE_CLIENT_CERT === 'true'
+    },
+    reflection: process.env.GRPC_REFLECTION_ENABLED !== 'false'
   },
   
   // GCP Configuration
@@ -33,62 +115,68 @@ const config = {
     defaultMaxCostPerDay: 50.00
   },
   
-  // Gemini Pricing (tokens per dollar - latest pricing as of July 2025)
-  pricing: {
-    // Legacy models (deprecated)
-    'gemini-pro': {
-      inputTokensPerDollar: 1000000 / 0.50, // $0.50 per 1M tokens
-      outputTokensPerDollar: 1000000 / 1.50 // $1.50 per 1M tokens
-    },
-    'gemini-pro-vision': {
-      inputTokensPerDollar: 1000000 / 0.50,
-      outputTokensPerDollar: 1000000 / 1.50
-    },
-    // Current generation models
-    'gemini-1.5-pro': {
-      inputTokensPerDollar: 1000000 / 3.50, // $3.50 per 1M tokens
-      outputTokensPerDollar: 1000000 / 10.50 // $10.50 per 1M tokens
-    },
-    'gemini-1.5-pro-latest': {
-      inputTokensPerDollar: 1000000 / 3.50,
-      outputTokensPerDollar: 1000000 / 10.50
-    },
-    'gemini-1.5-flash': {
-      inputTokensPerDollar: 1000000 / 0.075, // $0.075 per 1M tokens
-      outputTokensPerDollar: 1000000 / 0.30 // $0.30 per 1M tokens
-    },
-    'gemini-1.5-flash-latest': {
-      inputTokensPerDollar: 1000000 / 0.075,
-      outputTokensPerDollar: 1000000 / 0.30
-    },
-    'gemini-1.5-flash-8b': {
-      inputTokensPerDollar: 1000000 / 0.0375, // $0.0375 per 1M tokens
-      outputTokensPerDollar: 1000000 / 0.15 // $0.15 per 1M tokens
-    },
-    'gemini-1.5-flash-8b-latest': {
-      inputTokensPerDollar: 1000000 / 0.0375,
-      outputTokensPerDollar: 1000000 / 0.15
-    },
-    // Embedding model (input only)
-    'gemini-embedding-001': {
-      inputTokensPerDollar: 1000000 / 0.15, // $0.15 per 1M tokens
-      outputTokensPerDollar: 0 // No output tokens for embeddings
-    },
-    // Latest generation models
-    'gemini-2.0-flash-exp': {
-      inputTokensPerDollar: 1000000 / 0.075, // Assuming similar to 1.5-flash
-      outputTokensPerDollar: 1000000 / 0.30
-    },
-    'gemini-2.5-pro': {
-      inputTokensPerDollar: 1000000 / 3.50, // Assuming similar to 1.5-pro
-      outputTokensPerDollar: 1000000 / 10.50
-    },
-    'gemini-2.5-pro-latest': {
-      inputTokensPerDollar: 1000000 / 3.50,
-      outputTokensPerDollar: 1000000 / 10.50
+  // Per-tier limits on in-flight model calls and, of those, open streams.
+  // A call over the limit waits up to queueTimeoutMs for a free slot (no
+  // waiting by default), then gets a 429.
+  concurrency: {
+    queueTimeoutMs: parseInt(process.env.CONCURRENCY_QUEUE_TIMEOUT_MS, 10) || 0,
+    tiers: {
+      free: { requests: 2, streams: 1 },
+      pro: { requests: 10, streams: 5 },
+      premium: { requests: 25, streams: 10 },
+      enterprise: { requests: 100, streams: 50 }
     }
   },
   
+  // Hourly, daily and monthly quotas reset at calendar boundaries in the
+  // user's timezone, else their organization's, else this one
+  quotas: {
+    defaultTimezone: process.env.QUOTA_TIMEZONE || 'UTC'
+  },
+  
+  // Personal data and secrets in prompt text: 'off', 'log' (count only),
+  // 'mask' (replace with placeholders) or 'block' (reject the request).
+  // Organizations override both settings with pii_mode and pii_restore.
+  piiFilter: {
+    mode: process.env.PII_FILTER_MODE || 'off',
+    // Put masked values back into response text
+    restoreResponses: process.env.PII_RESTORE_RESPONSES === 'true'
+  },
+  
+  // Per-tier access policy. Model patterns may end in `*`.
+  // methods: generate (incl. streaming), countTokens, embed
+  // features: tools (function calling, search grounding), codeExecution,
+  // longContext (prompts above longContextThreshold tokens)
+  tierPolicies: {
+    longContextThreshold: 128000,
+    tiers: {
+      free: {
+        models: ['gemini-1.5-flash*', 'gemini-2.0-flash*', 'gemini-embedding-001', 'text-embedding-004'],
+        methods: ['generate', 'countTokens', 'embed'],
+        features: { tools: false, codeExecution: false, longContext: false }
+      },
+      pro: {
+        models: ['gemini-1.5-*', 'gemini-2.0-*', 'gemini-2.5-flash*', 'gemini-embedding-001', 'text-embedding-004'],
+        methods: ['generate', 'countTokens', 'embed'],
+        features: { tools: true, codeExecution: false, longContext: false }
+      },
+      premium: {
+        models: ['gemini-*', 'text-embedding-*'],
+        methods: ['generate', 'countTokens', 'embed'],
+        features: { tools: true, codeExecution: true, longContext: true }
+      },
+      enterprise: {
+        models: ['*'],
+        methods: ['generate', 'countTokens', 'embed'],
+        features: { tools: true, codeExecution: true, longContext: true }
+      }
+    }
+  },
+  
+  // Versioned Gemini pricing (see src/config/pricing.js); PRICING_FILE
+  // points at a replacement file with the same shape
+  pricingFile: process.env.PRICING_FILE || null,
+  
   // CORS Configuration
   cors: {
     origin: process.env.CORS_ORIGIN || '*',
@@ -116,4 +204,16 @@ if (missingVars.length > 0) {
   throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
 }
 
+if (config.budgetAlerts.webhookUrl && !config.budgetAlerts.webhookSecret) {
+  throw new Error('BUDGET_WEBHOOK_SECRET is required when BUDGET_WEBHOOK_URL is set');
+}
+
+if (!isValidTimezone(config.quotas.defaultTimezone)) {
+  throw new Error(`QUOTA_TIMEZONE is not a valid IANA timezone: ${config.quotas.defaultTimezone}`);
+}
+
+if (!['off', 'log', 'mask', 'block'].includes(config.piiFilter.mode)) {
+  throw new Error(`PII_FILTER_MODE must be off, log, mask or block: ${config.piiFilter.mode}`);
+}
+
 module.exports = config; 
\ No newline at end of file
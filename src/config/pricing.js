@@ -0,0 +1,165 @@
+/**
+ * Gemini API pricing, in USD per 1M tokens.
+ *
+ * Each model lists price versions with the date they took effect; usage is
+ * priced with the latest version in effect when the request was made. Within
+ * a version, `bands` split pricing by prompt size: the first band whose
+ * `maxPromptTokens` covers the prompt applies, and the last band has none.
+ *
+ * Rates:
+ * - `input`: uncached prompt tokens
+ * - `cachedInput`: prompt tokens served from context caching
+ * - `output`: response tokens
+ * - `thoughts`: thinking tokens (defaults to the `output` default)
+ *
+ * A rate is either a number or an object keyed by Gemini modality (`TEXT`,
+ * `IMAGE`, `VIDEO`, `AUDIO`, `DOCUMENT`) with a `default` for the rest.
+ *
+ * Set PRICING_FILE to load a different file with the same shape.
+ */
+module.exports = {
+  models: {
+    'gemini-2.5-pro': [
+      {
+        effectiveFrom: '2025-06-17',
+        bands: [
+          { maxPromptTokens: 200000, input: 1.25, cachedInput: 0.31, output: 10.00 },
+          { input: 2.50, cachedInput: 0.625, output: 15.00 }
+        ]
+      }
+    ],
+    'gemini-2.5-flash': [
+      {
+        effectiveFrom: '2025-06-17',
+        bands: [
+          {
+            input: { default: 0.30, AUDIO: 1.00 },
+            cachedInput: { default: 0.075, AUDIO: 0.25 },
+            output: 2.50
+          }
+        ]
+      }
+    ],
+    'gemini-2.5-flash-preview-05-20': [
+      {
+        effectiveFrom: '2025-05-20',
+        bands: [
+          {
+            input: { default: 0.15, AUDIO: 1.00 },
+            cachedInput: { default: 0.0375, AUDIO: 0.25 },
+            output: 0.60,
+            thoughts: 3.50
+          }
+        ]
+      }
+    ],
+    'gemini-2.5-flash-lite': [
+      {
+        effectiveFrom: '2025-07-22',
+        bands: [
+          {
+            input: { default: 0.10, AUDIO: 0.30 },
+            cachedInput: { default: 0.025, AUDIO: 0.125 },
+            output: 0.40
+          }
+        ]
+      }
+    ],
+    'gemini-2.5-flash-image': [
+      {
+        effectiveFrom: '2025-10-02',
+        bands: [
+          { input: 0.30, output: { default: 2.50, IMAGE: 30.00 } }
+        ]
+      }
+    ],
+    'gemini-2.0-flash': [
+      {
+        effectiveFrom: '2025-02-05',
+        bands: [
+          {
+            input: { default: 0.10, AUDIO: 0.70 },
+            cachedInput: { default: 0.025, AUDIO: 0.175 },
+            output: 0.40
+          }
+        ]
+      }
+    ],
+    'gemini-2.0-flash-lite': [
+      {
+        effectiveFrom: '2025-02-25',
+        bands: [
+          { input: 0.075, output: 0.30 }
+        ]
+      }
+    ],
+    'gemini-1.5-pro': [
+      {
+        effectiveFrom: '2024-05-14',
+        bands: [
+          { maxPromptTokens: 128000, input: 3.50, cachedInput: 0.875, output: 10.50 },
+          { input: 7.00, cachedInput: 1.75, output: 21.00 }
+        ]
+      },
+      {
+        effectiveFrom: '2024-10-01',
+        bands: [
+          { maxPromptTokens: 128000, input: 1.25, cachedInput: 0.3125, output: 5.00 },
+          { input: 2.50, cachedInput: 0.625, output: 10.00 }
+        ]
+      }
+    ],
+    'gemini-1.5-flash': [
+      {
+        effectiveFrom: '2024-08-12',
+        bands: [
+          { maxPromptTokens: 128000, input: 0.075, cachedInput: 0.01875, output: 0.30 },
+          { input: 0.15, cachedInput: 0.0375, output: 0.60 }
+        ]
+      }
+    ],
+    'gemini-1.5-flash-8b': [
+      {
+        effectiveFrom: '2024-10-03',
+        bands: [
+          { maxPromptTokens: 128000, input: 0.0375, cachedInput: 0.01, output: 0.15 },
+          { input: 0.075, cachedInput: 0.02, output: 0.30 }
+        ]
+      }
+    ],
+    // Legacy models (deprecated)
+    'gemini-pro': [
+      {
+        effectiveFrom: '2023-12-13',
+        bands: [
+          { input: 0.50, output: 1.50 }
+        ]
+      }
+    ],
+    // Embedding models (input only)
+    'gemini-embedding-001': [
+      {
+        effectiveFrom: '2025-07-14',
+        bands: [
+          { input: 0.15 }
+        ]
+      }
+    ],
+    'text-embedding-004': [
+      {
+        effectiveFrom: '2024-04-09',
+        bands: [
+          { input: 0 }
+        ]
+      }
+    ]
+  },
+
+  // Other names for priced models. `-latest` and numbered suffixes such as
+  // `-002` resolve to their base model without an alias.
+  aliases: {
+    'gemini-pro-vision': 'gemini-pro',
+    'gemini-1.0-pro': 'gemini-pro',
+    'gemini-2.0-flash-exp': 'gemini-2.0-flash'
+  }
+};
@@ -1,135 +1,431 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream');
 const grpc = require('@grpc/grpc-js');
+const protoLoader = require('@grpc/proto-loader');
+const { HealthImplementation } = require('grpc-health-check');
+const { ReflectionService } = require('@grpc/reflection');
 const config = require('./config/config');
 const logger = require('./utils/logger');
-const supabaseService = require('./services/supabase');
+const upstreamClient = require('./services/upstream');
+const usageMeter = require('./services/usageMeter');
+const keyPool = require('./services/keyPool');
+const budgetReservations = require('./services/budgetReservations');
+const creditWallet = require('./services/creditWallet');
+const concurrencyLimiter = require('./services/concurrencyLimiter');
+const piiFilter = require('./services/piiFilter');
+const { authInterceptor, getCallContext, toGrpcError } = require('./middleware/grpcAuth');
+const { admitRequest } = require('./middleware/requestPolicy');
+const { GeminiStreamParser, createUsageTap } = require('./utils/streamUsageTap');
+const { restoreValue } = require('./utils/piiRedaction');
+const {
+  REQUEST_TYPES,
+  estimateTextTokens,
+  collectText
+} = require('./utils/geminiRequest');
+const {
+  modelId,
+  toRestGenerateRequest,
+  toRestCountTokensRequest,
+  toRestEmbedRequest,
+  toRestBatchEmbedRequest,
+  toGrpcGenerateResponse
+} = require('./utils/grpcMessages');
 
-// Simple gRPC-to-REST proxy server
+const PROTO_ROOT = path.join(__dirname, 'protos');
+const SERVICE_PROTO = 'google/ai/generativelanguage/v1beta/generative_service.proto';
+
+const SERVICE_NAME = 'google.ai.generativelanguage.v1beta.GenerativeService';
+
+/**
+ * Load the typed google.ai.generativelanguage.v1beta.GenerativeService package definition
+ */
+function loadPackageDefinition() {
+  return protoLoader.loadSync(SERVICE_PROTO, {
+    includeDirs: [PROTO_ROOT],
+    keepCase: false,
+    longs: String,
+    enums: String,
+    defaults: false,
+    oneofs: false
+  });
+}
+
+/**
+ * Build server credentials from config: insecure, TLS, or mTLS when a CA
+ * is configured and client certificates are required
+ */
+function createServerCredentials(tls) {
+  if (!tls.enabled) {
+    return grpc.ServerCredentials.createInsecure();
+  }
+
+  const rootCerts = tls.caFile ? fs.readFileSync(tls.caFile) : null;
+  if (tls.requireClientCert && !rootCerts) {
+    throw new Error('GRPC_TLS_CA_FILE is required when client certificates are required');
+  }
+
+  return grpc.ServerCredentials.createSsl(
+    rootCerts,
+    [{
+      private_key: fs.readFileSync(tls.keyFile),
+      cert_chain: fs.readFileSync(tls.certFile)
+    }],
+    tls.requireClientCert
+  );
+}
+
+/**
+ * Seconds from now until a reset time, never negative
+ */
+function secondsUntil(resetTime) {
+  return String(Math.max(Math.ceil((new Date(resetTime) - Date.now()) / 1000), 0));
+}
+
+/**
+ * Trailing metadata describing the caller's remaining quota, mirroring the
+ * HTTP `RateLimit-*` headers plus the daily and monthly token and cost budget
+ */
+function quotaMetadata({ quota, budget } = {}) {
+  const metadata = new grpc.Metadata();
+
+  if (quota) {
+    metadata.set('ratelimit-limit', String(quota.limit));
+    metadata.set('ratelimit-remaining', String(quota.remaining));
+    metadata.set('ratelimit-reset', secondsUntil(quota.resetTime));
+  }
+
+  if (budget) {
+    metadata.set('quota-tokens-today', String(budget.tokensToday));
+    metadata.set('quota-cost-today', String(budget.costToday));
+    if (budget.tokensPerDay) {
+      metadata.set('quota-tokens-per-day', String(budget.tokensPerDay));
+    }
+    if (budget.maxCostPerDay) {
+      metadata.set('quota-max-cost-per-day', String(budget.maxCostPerDay));
+    }
+    if (budget.dayResetsAt) {
+      metadata.set('quota-day-reset', secondsUntil(budget.dayResetsAt));
+    }
+
+    metadata.set('quota-tokens-this-month', String(budget.tokensThisMonth));
+    metadata.set('quota-cost-this-month', String(budget.costThisMonth));
+    if (budget.tokensPerMonth) {
+      metadata.set('quota-tokens-per-month', String(budget.tokensPerMonth));
+    }
+    if (budget.maxCostPerMonth) {
+      metadata.set('quota-max-cost-per-month', String(budget.maxCostPerMonth));
+    }
+    if (budget.monthResetsAt) {
+      metadata.set('quota-month-reset', secondsUntil(budget.monthResetsAt));
+    }
+  }
+
+  return metadata;
+}
+
+/**
+ * Release the budget and credit holds for a call that failed before it
+ * could be metered
+ */
+function releaseUnmetered(admission) {
+  const reservation = admission?.reservation;
+  if (reservation && !reservation.settling) {
+    budgetReservations.release(reservation).catch(error => {
+      logger.error('Failed to release budget reservation', { error: error.message });
+    });
+  }
+
+  const creditHold = admission?.creditHold;
+  if (creditHold && !creditHold.settling) {
+    creditWallet.release(creditHold);
+  }
+}
+
+/**
+ * Put masked values back into a REST response when the caller's
+ * organization restores them
+ */
+function restoreMasked(data, admission) {
+  const redaction = admission?.redaction;
+  return redaction?.restore && redaction.total > 0
+    ? restoreValue(data, redaction.placeholders)
+    : data;
+}
+
+// gRPC GenerativeService front end that forwards to Google's REST API
 class GrpcProxy {
   constructor() {
-    this.server = new grpc.Server();
+    this.server = new grpc.Server({ interceptors: [authInterceptor] });
+    this.packageDefinition = loadPackageDefinition();
+    this.service = grpc.loadPackageDefinition(this.packageDefinition).google.ai.generativelanguage.v1beta.GenerativeService;
+    this.health = new HealthImplementation({
+      '': 'NOT_SERVING',
+      [SERVICE_NAME]: 'NOT_SERVING'
+    });
   }
 
-  // Authentication method
-  async authenticateCall(call) {
-    try {
-      const metadata = call.metadata;
-      const authHeaders = metadata.get('authorization');
-      
-      if (!authHeaders || authHeaders.length === 0) {
-        throw new Error('No authorization header');
-      }
+  /**
+   * Call a Gemini REST model action and return the parsed JSON body
+   */
+  async callGoogle(model, action, body, options = {}) {
+    const { response, apiKey } = await upstreamClient.request({
+      path: `/v1beta/models/${model}:${action}${options.stream ? '?alt=sse' : ''}`,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body),
+      model,
+      signal: options.signal,
+      timeout: options.stream ? 120000 : 30000,
+      userAgent: 'PerceptEye-gRPC-Proxy/1.0.0'
+    });
 
-      const authHeader = authHeaders[0];
-      if (!authHeader.startsWith('Bearer ')) {
-        throw new Error('Invalid authorization header format');
-      }
+    if (options.stream && response.ok) {
+      return { response, apiKey };
+    }
 
-      const token = authHeader.substring(7);
-      const { user, error } = await supabaseService.verifyToken(token);
+    const data = await response.json();
 
-      if (error || !user) {
-        throw new Error('Invalid or expired token');
+    if (!response.ok) {
+      const error = new Error(data.error?.message || 'Google API request failed');
+      error.status = response.status;
+      throw error;
+    }
+
+    return { data, apiKey };
+  }
+
+  /**
+   * Run the same admission checks as the HTTP routes: active account,
+   * request body, sensitive data (masking `body` in place), tier policy,
+   * concurrency slot, tier rate limit, database limits, budget reservation
+   * and credit hold. Rejections carry the quota trailers. The caller
+   * releases the admission's slot when the call ends.
+   */
+  async admit(call, action, model, body, signal) {
+    const { user, profile } = getCallContext(call);
+    const admission = await admitRequest({
+      user,
+      profile,
+      model,
+      action,
+      body,
+      signal
+    });
+
+    if (admission.violation) {
+      concurrencyLimiter.release(admission.slot);
+
+      const { status, body: violationBody } = admission.violation;
+      const error = toGrpcError({ status, message: violationBody.message });
+      error.metadata = quotaMetadata(admission);
+      error.metadata.set('error-reason', violationBody.error);
+      if (violationBody.code) {
+        error.metadata.set('error-code', violationBody.code);
       }
 
-      return user;
-    } catch (error) {
-      logger.error('gRPC authentication failed', { error: error.message });
+      logger.warn('gRPC request rejected', {
+        userId: user.id,
+        model,
+        action,
+        reason: violationBody.error
+      });
       throw error;
     }
+
+    return { user, admission };
   }
 
-  // Proxy method for any request
-  async proxyToGoogle(call, callback) {
+  /**
+   * Meter a completed call, release its budget hold and settle its credit
+   */
+  meter({ userId, model, action, usage, apiKey, admission }) {
+    keyPool.recordTokens(apiKey, usage.totalTokenCount);
+    usageMeter.record({
+      userId,
+      model,
+      requestType: REQUEST_TYPES[action],
+      usage,
+      reservation: admission.reservation,
+      creditHold: admission.creditHold,
+      metadata: piiFilter.usageMetadata(admission.redaction)
+    }).catch(error => {
+      logger.error('Async gRPC usage recording failed', { error: error.message });
+    });
+  }
+
+  /**
+   * Wrap a unary REST-backed method: admit, convert the request, call
+   * Google, meter the usage and convert the response
+   */
+  unary(action, toRestRequest, toGrpcResponse = data => data) {
+    return async (call, callback) => {
+      // Only used to stop waiting for a queued concurrency slot
+      const abortController = new AbortController();
+      call.on('cancelled', () => abortController.abort());
+
+      let admission;
+      try {
+        const model = modelId(call.request.model);
+        const body = toRestRequest(call.request);
+        const admitted = await this.admit(call, action, model, body, abortController.signal);
+        admission = admitted.admission;
+
+        logger.info('gRPC request admitted', {
+          userId: admitted.user.id,
+          email: admitted.user.email,
+          method: call.getPath(),
+          model
+        });
+
+        const { data, apiKey } = await this.callGoogle(model, action, body);
+        this.meter({
+          userId: admitted.user.id,
+          model,
+          action,
+          usage: usageMeter.extractUsage(action, data, body),
+          apiKey,
+          admission
+        });
+
+        callback(null, toGrpcResponse(restoreMasked(data, admission)), quotaMetadata(admission));
+
+      } catch (error) {
+        releaseUnmetered(admission);
+        const grpcError = toGrpcError(error);
+        logger.error('gRPC proxy error', {
+          error: error.message,
+          code: grpcError.code,
+          path: call.getPath()
+        });
+
+        callback(grpcError);
+      } finally {
+        concurrencyLimiter.release(admission?.slot);
+      }
+    };
+  }
+
+  /**
+   * Server-streaming StreamGenerateContent: relay each upstream SSE event
+   * as a GenerateContentResponse message as soon as it arrives
+   */
+  async streamGenerateContent(call) {
+    const abortController = new AbortController();
+    call.on('cancelled', () => abortController.abort());
+
+    let admission;
     try {
-      // Authenticate user
-      const user = await this.authenticateCall(call);
-      
-      logger.info('gRPC request authenticated', {
-        userId: user.id,
-        email: user.email,
-        method: call.getPath()
+      const model = modelId(call.request.model);
+      const body = toRestGenerateRequest(call.request);
+      const admitted = await this.admit(call, 'streamGenerateContent', model, body, abortController.signal);
+      const userId = admitted.user.id;
+      admission = admitted.admission;
+
+      logger.info('gRPC stream admitted', {
+        userId,
+        email: admitted.user.email,
+        method: call.getPath(),
+        model
       });
 
-      // Extract request data
-      const request = call.request;
-      
-      // Determine the Google API endpoint from the gRPC path
-      const grpcPath = call.getPath();
-      let googleEndpoint = '';
-      
-      if (grpcPath.includes('GenerateContent')) {
-        googleEndpoint = `models/${request.model}:generateContent`;
-      } else if (grpcPath.includes('StreamGenerateContent')) {
-        googleEndpoint = `models/${request.model}:streamGenerateContent`;
-      } else if (grpcPath.includes('CountTokens')) {
-        googleEndpoint = `models/${request.model}:countTokens`;
-      } else {
-        throw new Error(`Unsupported gRPC method: ${grpcPath}`);
+      const { response, apiKey } = await this.callGoogle(
+        model,
+        'streamGenerateContent',
+        body,
+        { stream: true, signal: abortController.signal }
+      );
+
+      // The tap always reports, so it now owns releasing the budget and credit holds
+      if (admission.reservation) {
+        admission.reservation.settling = true;
+      }
+      if (admission.creditHold) {
+        admission.creditHold.settling = true;
       }
 
-      // Convert gRPC request to REST format
-      const restPayload = {
-        contents: request.contents,
-        generationConfig: request.generationConfig,
-        safetySettings: request.safetySettings,
-        systemInstruction: request.systemInstruction
-      };
-
-      // Call Google's REST API
-      const googleUrl = `https://generativelanguage.googleapis.com/v1beta/${googleEndpoint}?key=${config.gemini.apiKey}`;
-      
-      const response = await fetch(googleUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'User-Agent': 'PerceptEye-gRPC-Proxy/1.0.0'
-        },
-        body: JSON.stringify(restPayload)
+      const usageTap = createUsageTap({
+        promptTokenEstimate: estimateTextTokens(collectText(body.contents)),
+        onComplete: ({ usage, completed }) => {
+          if (!completed) {
+            logger.warn('Metering partially delivered gRPC stream', { userId, usage });
+          }
+          this.meter({ userId, model, action: 'streamGenerateContent', usage, apiKey, admission });
+        }
       });
 
-      const data = await response.json();
+      // Restored per message, so a placeholder split across messages
+      // still comes back whole
+      const restorer = piiFilter.streamRestorer(admission.redaction);
+      const parser = new GeminiStreamParser((message) => {
+        // Pause the upstream body while the client catches up
+        if (!call.write(toGrpcGenerateResponse(restorer ? restorer.restore(message) : message))) {
+          usageTap.pause();
+          call.once('drain', () => usageTap.resume());
+        }
+      });
 
-      if (!response.ok) {
-        throw new Error(data.error?.message || 'Google API request failed');
+      await new Promise((resolve, reject) => {
+        usageTap.on('data', chunk => parser.write(chunk));
+        pipeline(response.body, usageTap, error => (error ? reject(error) : resolve()));
+      });
+      parser.end();
+
+      const rest = restorer?.end();
+      if (rest) {
+        call.write(toGrpcGenerateResponse(rest));
       }
 
-      // Return the response (gRPC will serialize it)
-      callback(null, data);
+      logger.info('gRPC stream completed', {
+        userId,
+        model
+      });
+      call.end(quotaMetadata(admission));
 
     } catch (error) {
-      logger.error('gRPC proxy error', { 
+      releaseUnmetered(admission);
+
+      if (call.cancelled) {
+        logger.info('gRPC stream cancelled by client', { path: call.getPath() });
+        return;
+      }
+
+      const grpcError = toGrpcError(error);
+      logger.error('gRPC stream error', {
         error: error.message,
+        code: grpcError.code,
         path: call.getPath()
       });
-      
-      const grpcError = new Error(error.message);
-      grpcError.code = grpc.status.INTERNAL;
-      callback(grpcError);
+
+      // grpc-js turns an 'error' event into the call status; destroy()
+      // would drop the stream without sending one
+      call.emit('error', grpcError);
+    } finally {
+      concurrencyLimiter.release(admission?.slot);
     }
   }
 
-  start(port = 9090) {
-    // Create a simple universal service that handles any method
-    const serviceDefinition = {
-      ProxyRequest: {
-        path: '/proxy.GenerativeService/ProxyRequest',
-        requestStream: false,
-        responseStream: false,
-        requestSerialize: (value) => Buffer.from(JSON.stringify(value)),
-        requestDeserialize: (buffer) => JSON.parse(buffer.toString()),
-        responseSerialize: (value) => Buffer.from(JSON.stringify(value)),
-        responseDeserialize: (buffer) => JSON.parse(buffer.toString())
-      }
-    };
-
+  start(port = config.grpc.port) {
     try {
-      this.server.addService(serviceDefinition, {
-        ProxyRequest: this.proxyToGoogle.bind(this)
+      this.server.addService(this.service.service, {
+        GenerateContent: this.unary('generateContent', toRestGenerateRequest, toGrpcGenerateResponse),
+        StreamGenerateContent: this.streamGenerateContent.bind(this),
+        CountTokens: this.unary('countTokens', toRestCountTokensRequest),
+        EmbedContent: this.unary('embedContent', request => toRestEmbedRequest(request)),
+        BatchEmbedContents: this.unary('batchEmbedContents', toRestBatchEmbedRequest)
       });
 
+      this.health.addToServer(this.server);
+
+      if (config.grpc.reflection) {
+        new ReflectionService(this.packageDefinition).addToServer(this.server);
+      }
+
       this.server.bindAsync(
         `0.0.0.0:${port}`,
-        grpc.ServerCredentials.createInsecure(),
+        createServerCredentials(config.grpc.tls),
         (error, boundPort) => {
           if (error) {
             logger.error('Failed to bind gRPC server', { 
@@ -141,10 +437,14 @@ class GrpcProxy {
           
           logger.info('gRPC proxy server started', { 
             port: boundPort,
-            address: `0.0.0.0:${boundPort}`
+            address: `0.0.0.0:${boundPort}`,
+            tls: config.grpc.tls.enabled,
+            mutualTls: config.grpc.tls.enabled && config.grpc.tls.requireClientCert,
+            reflection: config.grpc.reflection
           });
-          
-          this.server.start();
+
+          this.health.setStatus('', 'SERVING');
+          this.health.setStatus(SERVICE_NAME, 'SERVING');
         }
       );
     } catch (error) {
@@ -153,6 +453,9 @@ class GrpcProxy {
   }
 
   stop() {
+    this.health.setStatus('', 'NOT_SERVING');
+    this.health.setStatus(SERVICE_NAME, 'NOT_SERVING');
+
     return new Promise((resolve) => {
       this.server.tryShutdown((error) => {
         if (error) {
@@ -112,6 +112,13 @@ async function optionalAuth(req, res, next) {
   }
 }
 
+/**
+ * Subscription tier of the authenticated user, defaulting to free
+ */
+function getUserTier(req) {
+  return req.userProfile?.subscription_tier || 'free';
+}
+
 /**
  * Role-based authorization middleware
  */
@@ -124,7 +131,7 @@ function requireRole(allowedRoles) {
       });
     }
 
-    const userRole = req.userProfile.subscription_tier || 'free';
+    const userRole = getUserTier(req);
     
     if (!allowedRoles.includes(userRole)) {
       logger.warn('Insufficient permissions', {
@@ -143,8 +150,38 @@ function requireRole(allowedRoles) {
   };
 }
 
+/**
+ * Admin-only authorization middleware. The admin role lives in the user's
+ * Supabase app_metadata (only settable with the service role), independent
+ * of subscription_tier.
+ */
+function requireAdmin(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'Please authenticate first'
+    });
+  }
+
+  if (req.user.app_metadata?.role !== 'admin') {
+    logger.warn('Non-admin attempted admin access', {
+      userId: req.user.id,
+      url: req.originalUrl
+    });
+
+    return res.status(403).json({
+      error: 'Insufficient permissions',
+      message: 'This endpoint requires the admin role'
+    });
+  }
+
+  next();
+}
+
 module.exports = {
   authenticateUser,
   optionalAuth,
-  requireRole
+  requireRole,
+  requireAdmin,
+  getUserTier
 }; 
\ No newline at end of file
@@ -0,0 +1,25 @@
+/**
+ * Reshape the proxy's own error responses (`{ error, message, details }`
+ * from auth, validation, policy and limit checks) for compatibility
+ * routes whose clients expect another API's error format. `toEnvelope`
+ * gets the status and the proxy body and returns the body to send.
+ * Bodies already in the target format pass through untouched.
+ */
+function mapErrorResponses(toEnvelope) {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+      if (res.statusCode >= 400 && typeof body?.error === 'string') {
+        return json(toEnvelope(res.statusCode, body));
+      }
+      return json(body);
+    };
+
+    next();
+  };
+}
+
+module.exports = {
+  mapErrorResponses
+};
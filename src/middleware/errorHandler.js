@@ -59,6 +59,10 @@ function errorHandler(err, req, res, next) {
       message: 'Too many requests. Please try again later.',
       retryAfter: err.retryAfter || 3600
     };
+  } else if (err.name === 'UpstreamUnavailableError') {
+    statusCode = 503;
+    errorResponse = err.toResponse();
+    res.set('Retry-After', String(err.retryAfter));
   } else if (err.code === 'ECONNREFUSED' || err.code === 'ENOTFOUND') {
     statusCode = 503;
     errorResponse = {
@@ -172,6 +176,27 @@ class ServiceUnavailableError extends AppError {
   }
 }
 
+class UpstreamUnavailableError extends ServiceUnavailableError {
+  constructor(message, { code = 'UPSTREAM_UNAVAILABLE', model = null, retryAfter = 30 } = {}) {
+    super(message);
+    this.name = 'UpstreamUnavailableError';
+    this.code = code;
+    this.model = model;
+    this.retryAfter = retryAfter;
+  }
+
+  toResponse() {
+    return {
+      error: this.code,
+      message: this.message,
+      details: {
+        model: this.model,
+        retryAfter: this.retryAfter
+      }
+    };
+  }
+}
+
 module.exports = {
   errorHandler,
   notFoundHandler,
@@ -182,5 +207,6 @@ module.exports = {
   AuthorizationError,
   NotFoundError,
   RateLimitError,
-  ServiceUnavailableError
+  ServiceUnavailableError,
+  UpstreamUnavailableError
 }; 
\ No newline at end of file
@@ -0,0 +1,150 @@
+const grpc = require('@grpc/grpc-js');
+const supabaseService = require('../services/supabase');
+const { checkAccount } = require('./requestPolicy');
+const logger = require('../utils/logger');
+
+// Services that must answer without credentials (probes and tooling)
+const PUBLIC_SERVICE_PREFIXES = [
+  '/grpc.health.v1.Health/',
+  '/grpc.reflection.v1.ServerReflection/',
+  '/grpc.reflection.v1alpha.ServerReflection/'
+];
+
+// HTTP statuses from upstream or our own checks, mapped to gRPC codes
+const HTTP_STATUS_CODES = {
+  400: grpc.status.INVALID_ARGUMENT,
+  401: grpc.status.UNAUTHENTICATED,
+  402: grpc.status.FAILED_PRECONDITION,
+  403: grpc.status.PERMISSION_DENIED,
+  404: grpc.status.NOT_FOUND,
+  408: grpc.status.DEADLINE_EXCEEDED,
+  409: grpc.status.ABORTED,
+  413: grpc.status.INVALID_ARGUMENT,
+  429: grpc.status.RESOURCE_EXHAUSTED,
+  499: grpc.status.CANCELLED,
+  501: grpc.status.UNIMPLEMENTED,
+  503: grpc.status.UNAVAILABLE,
+  504: grpc.status.DEADLINE_EXCEEDED
+};
+
+// Authenticated user and profile for each call, keyed by its metadata
+const callContexts = new WeakMap();
+
+/**
+ * Error carrying a gRPC status code and optional trailing metadata
+ */
+class GrpcError extends Error {
+  constructor(code, message, metadata = new grpc.Metadata()) {
+    super(message);
+    this.name = 'GrpcError';
+    this.code = code;
+    this.metadata = metadata;
+  }
+}
+
+/**
+ * Convert any proxy or upstream error into a GrpcError with the right status
+ */
+function toGrpcError(error) {
+  if (error instanceof GrpcError) {
+    return error;
+  }
+
+  if (error.name === 'UpstreamUnavailableError') {
+    const metadata = new grpc.Metadata();
+    metadata.set('retry-after', String(error.retryAfter));
+    // Every pooled key at quota is exhaustion, not an outage
+    const code = error.code === 'NO_API_KEY_AVAILABLE'
+      ? grpc.status.RESOURCE_EXHAUSTED
+      : grpc.status.UNAVAILABLE;
+    return new GrpcError(code, error.message, metadata);
+  }
+
+  const code = HTTP_STATUS_CODES[error.status] ||
+    (error.status >= 500 ? grpc.status.UNAVAILABLE : grpc.status.INTERNAL);
+  return new GrpcError(code, error.message || 'Internal error');
+}
+
+/**
+ * Verify the bearer token in call metadata and load the caller's profile.
+ * Mirrors the HTTP authenticateUser middleware.
+ */
+async function authenticateMetadata(metadata) {
+  const [authHeader] = metadata.get('authorization');
+
+  if (typeof authHeader !== 'string' || !authHeader.startsWith('Bearer ')) {
+    throw new GrpcError(grpc.status.UNAUTHENTICATED, 'Please provide a valid Bearer token');
+  }
+
+  const { user, error } = await supabaseService.verifyToken(authHeader.substring(7));
+  if (error || !user) {
+    throw new GrpcError(grpc.status.UNAUTHENTICATED, 'Invalid or expired token');
+  }
+
+  const profile = await supabaseService.getUserProfile(user.id);
+  const violation = checkAccount(profile);
+  if (violation) {
+    logger.warn('Inactive user attempted gRPC access', {
+      userId: user.id,
+      email: user.email
+    });
+    throw new GrpcError(grpc.status.PERMISSION_DENIED, violation.body.message);
+  }
+
+  return { user, profile };
+}
+
+/**
+ * Server interceptor that authenticates every call before it reaches a
+ * handler. Rejected calls end with UNAUTHENTICATED or PERMISSION_DENIED.
+ */
+function authInterceptor(methodDescriptor, call) {
+  if (PUBLIC_SERVICE_PREFIXES.some(prefix => methodDescriptor.path.startsWith(prefix))) {
+    return call;
+  }
+
+  return new grpc.ServerInterceptingCall(call, {
+    start: (next) => {
+      next({
+        onReceiveMetadata: (metadata, nextMetadata) => {
+          authenticateMetadata(metadata)
+            .then((context) => {
+              callContexts.set(metadata, context);
+              nextMetadata(metadata);
+            })
+            .catch((error) => {
+              const grpcError = toGrpcError(error);
+              logger.warn('gRPC authentication failed', {
+                path: methodDescriptor.path,
+                code: grpcError.code,
+                error: error.message
+              });
+              call.sendStatus({
+                code: grpcError.code,
+                details: grpcError.message,
+                metadata: grpcError.metadata
+              });
+            });
+        }
+      });
+    }
+  });
+}
+
+/**
+ * The `{ user, profile }` the auth interceptor attached to a call
+ */
+function getCallContext(call) {
+  const context = callContexts.get(call.metadata);
+  if (!context) {
+    throw new GrpcError(grpc.status.UNAUTHENTICATED, 'Call was not authenticated');
+  }
+  return context;
+}
+
+module.exports = {
+  GrpcError,
+  toGrpcError,
+  authInterceptor,
+  getCallContext
+};
@@ -0,0 +1,67 @@
+const { enforceTierPolicy } = require('./policy');
+const { validateGeminiBody } = require('./requestValidation');
+const { filterSensitiveData } = require('./sensitiveData');
+const {
+  authenticatedUserRateLimit,
+  checkUserLimits,
+  limitConcurrency,
+  estimateTokenUsage,
+  reserveEstimatedUsage,
+  reserveCreditHold
+} = require('./rateLimiter');
+
+/**
+ * Only run the given middleware for billable model calls (any
+ * `models/<model>:<action>` path); listing models and other reads skip it
+ */
+function forBillable(middleware) {
+  return (req, res, next) => {
+    if (!req.gemini?.billable) {
+      return next();
+    }
+    return middleware(req, res, next);
+  };
+}
+
+/**
+ * Checks on the request itself: body, personal data and tier policy
+ */
+const requestChecks = [
+  validateGeminiBody,
+  filterSensitiveData,
+  enforceTierPolicy
+];
+
+/**
+ * The user's tier request rate limit. Kept apart from the other limit
+ * checks so routes with a response cache can count hits against it too.
+ */
+const rateLimitChecks = [
+  forBillable(authenticatedUserRateLimit)
+];
+
+/**
+ * Checks and holds that spend the user's allowances
+ */
+const limitChecks = [
+  forBillable(limitConcurrency),
+  forBillable(checkUserLimits),
+  forBillable(estimateTokenUsage),
+  forBillable(reserveEstimatedUsage),
+  forBillable(reserveCreditHold)
+];
+
+/**
+ * Policy and limit checks every Gemini-backed route applies after
+ * authentication, once `req.gemini` describes the call and `req.body`
+ * holds a Gemini-shaped request body
+ */
+const billablePipeline = [...requestChecks, ...rateLimitChecks, ...limitChecks];
+
+module.exports = {
+  forBillable,
+  requestChecks,
+  rateLimitChecks,
+  limitChecks,
+  billablePipeline
+};
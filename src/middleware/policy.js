@@ -0,0 +1,174 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const pricingService = require('../services/pricing');
+const { getUserTier } = require('./auth');
+const { estimatePromptTokens } = require('../utils/geminiRequest');
+
+/**
+ * Policy for a tier; unknown tiers get the free policy
+ */
+function getTierPolicy(tier) {
+  const { tiers } = config.tierPolicies;
+  return tiers[tier] || tiers.free;
+}
+
+/**
+ * Match a model name against an allowlist pattern such as `gemini-1.5-*`
+ */
+function modelMatches(pattern, model) {
+  if (pattern === '*') {
+    return true;
+  }
+  if (pattern.endsWith('*')) {
+    return model.startsWith(pattern.slice(0, -1));
+  }
+  return model === pattern;
+}
+
+function isModelAllowed(policy, model) {
+  return policy.models.some(pattern => modelMatches(pattern, model));
+}
+
+/**
+ * Features a Gemini request body uses that tier policies can restrict
+ */
+function detectFeatures(body = {}) {
+  const features = [];
+  const tools = Array.isArray(body.tools) ? body.tools : [];
+
+  const usesTools = tools.some(tool =>
+    tool.functionDeclarations || tool.function_declarations ||
+    tool.googleSearch || tool.google_search ||
+    tool.googleSearchRetrieval || tool.google_search_retrieval
+  );
+  if (usesTools) {
+    features.push('tools');
+  }
+
+  if (tools.some(tool => tool.codeExecution || tool.code_execution)) {
+    features.push('codeExecution');
+  }
+
+  if (estimatePromptTokens(body) > config.tierPolicies.longContextThreshold) {
+    features.push('longContext');
+  }
+
+  return features;
+}
+
+/**
+ * Check a model call against a tier policy. Returns null when allowed,
+ * otherwise the 403 response body describing what the tier permits.
+ * Model actions without a policy method (`method` null) are never allowed.
+ */
+function checkTierPolicy(tier, { model, method, action = null, body }) {
+  const policy = getTierPolicy(tier);
+
+  if (!method || !policy.methods.includes(method)) {
+    return {
+      error: 'Method not allowed',
+      message: `The ${tier} tier does not include ${method || action} requests`,
+      details: {
+        tier,
+        method,
+        action,
+        allowed_methods: policy.methods
+      }
+    };
+  }
+
+  if (!isModelAllowed(policy, model)) {
+    return {
+      error: 'Model not allowed',
+      message: `The ${tier} tier does not include model ${model}. Allowed models: ${policy.models.join(', ')}`,
+      details: {
+        tier,
+        model,
+        allowed_models: policy.models
+      }
+    };
+  }
+
+  // Counting tokens is free, everything else must be billable
+  if (method !== 'countTokens' && !pricingService.hasPricing(model)) {
+    return {
+      error: 'Model not priced',
+      message: `Model ${model} has no pricing configured, so its usage cannot be billed`,
+      details: {
+        tier,
+        model
+      }
+    };
+  }
+
+  const deniedFeature = detectFeatures(body).find(feature => !policy.features[feature]);
+  if (deniedFeature) {
+    return {
+      error: 'Feature not allowed',
+      message: `The ${tier} tier does not include the ${deniedFeature} feature`,
+      details: {
+        tier,
+        feature: deniedFeature,
+        allowed_features: Object.keys(policy.features).filter(feature => policy.features[feature]),
+        allowed_models: policy.models
+      }
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Middleware enforcing the tier policy on every Gemini model call
+ * described by `req.gemini`, whatever its action. Reads such as model
+ * listings need no policy; any other request without a model is
+ * rejected rather than let through unchecked. Runs after authentication.
+ */
+function enforceTierPolicy(req, res, next) {
+  if (!req.gemini?.model) {
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      return next();
+    }
+
+    logger.warn('Tier policy rejected request without a model', {
+      userId: req.user?.id,
+      method: req.method,
+      path: req.gemini?.path
+    });
+
+    return res.status(403).json({
+      error: 'Model required',
+      message: 'Only Gemini model calls are allowed with this method',
+      details: { method: req.method }
+    });
+  }
+
+  const tier = getUserTier(req);
+  const violation = checkTierPolicy(tier, {
+    model: req.gemini.model,
+    method: req.gemini.method,
+    action: req.gemini.action,
+    body: req.body
+  });
+
+  if (violation) {
+    logger.warn('Tier policy violation', {
+      userId: req.user?.id,
+      tier,
+      model: req.gemini.model,
+      method: req.gemini.method,
+      action: req.gemini.action,
+      error: violation.error
+    });
+
+    return res.status(403).json(violation);
+  }
+
+  next();
+}
+
+module.exports = {
+  getTierPolicy,
+  checkTierPolicy,
+  enforceTierPolicy
+};
@@ -1,94 +1,79 @@
 const rateLimit = require('express-rate-limit');
 const slowDown = require('express-slow-down');
-const supabaseService = require('../services/supabase');
+const budgetReservations = require('../services/budgetReservations');
+const creditWallet = require('../services/creditWallet');
+const concurrencyLimiter = require('../services/concurrencyLimiter');
+const RedisRateLimitStore = require('../services/rateLimitStore');
+const {
+  TIER_RATE_LIMIT_WINDOW_MS,
+  userRateLimitStore,
+  getTierRequestLimit,
+  checkDatabaseLimits,
+  acquireConcurrencySlot,
+  estimateUsage,
+  reserveUsage,
+  reserveCredit
+} = require('./requestPolicy');
 const logger = require('../utils/logger');
-const config = require('../config/config');
 
 /**
  * Custom rate limiter that checks user-specific limits from database
  */
 async function checkUserLimits(req, res, next) {
-  try {
-    // Skip rate limiting if user is not authenticated
-    if (!req.user) {
-      return next();
-    }
+  // Skip rate limiting if user is not authenticated
+  if (!req.user) {
+    return next();
+  }
 
-    const userId = req.user.id;
-    
-    // Check current usage against limits
-    const limits = await supabaseService.checkUserLimits(userId);
-    
-    logger.info('Checking user limits', {
-      userId,
-      limits
-    });
+  const { limits, violation } = await checkDatabaseLimits(req.user.id);
 
-    // Check hourly request limit
-    if (!limits.within_hourly_limit) {
-      logger.warn('User exceeded hourly request limit', {
-        userId,
-        requestsLastHour: limits.requests_last_hour
-      });
-      
-      return res.status(429).json({
-        error: 'Rate limit exceeded',
-        message: 'You have exceeded your hourly request limit',
-        details: {
-          requests_last_hour: limits.requests_last_hour,
-          reset_time: new Date(Date.now() + config.rateLimit.windowMs).toISOString()
-        }
-      });
-    }
-
-    // Check daily token limit
-    if (!limits.within_daily_token_limit) {
-      logger.warn('User exceeded daily token limit', {
-        userId,
-        tokensToday: limits.tokens_today
-      });
-      
-      return res.status(429).json({
-        error: 'Token limit exceeded',
-        message: 'You have exceeded your daily token limit',
-        details: {
-          tokens_today: limits.tokens_today,
-          reset_time: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
-        }
-      });
-    }
-
-    // Check daily cost limit
-    if (!limits.within_daily_cost_limit) {
-      logger.warn('User exceeded daily cost limit', {
-        userId,
-        costToday: limits.cost_today
-      });
-      
-      return res.status(429).json({
-        error: 'Cost limit exceeded',
-        message: 'You have exceeded your daily cost limit',
-        details: {
-          cost_today: parseFloat(limits.cost_today),
-          reset_time: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
-        }
-      });
-    }
-
-    // Attach limits info to request for use in proxy
+  if (violation) {
+    return res.status(violation.status).json(violation.body);
+  }
+
+  // Attach limits info to request for use in proxy
+  if (limits) {
     req.userLimits = limits;
-    
-    next();
-  } catch (error) {
-    logger.error('Error checking user limits', {
-      userId: req.user?.id,
-      error: error.message,
-      stack: error.stack
-    });
-    
-    // On error, allow request to proceed but log the issue
-    next();
   }
+
+  next();
+}
+
+/**
+ * Middleware to hold one of the user's concurrent request slots (and a
+ * stream slot for streams) until the response closes, whether it
+ * completed, failed or the client went away
+ */
+async function limitConcurrency(req, res, next) {
+  if (!req.user) {
+    return next();
+  }
+
+  // Free the slot when the response closes; a client that disconnects
+  // while queued stops waiting
+  const waiting = new AbortController();
+  let slot = null;
+  res.on('close', () => {
+    waiting.abort();
+    concurrencyLimiter.release(slot);
+  });
+
+  const acquired = await acquireConcurrencySlot(req.user.id, {
+    tier: req.userProfile?.subscription_tier || 'free',
+    stream: req.gemini?.action === 'streamGenerateContent',
+    signal: waiting.signal
+  });
+
+  if (acquired.violation) {
+    return res.status(acquired.violation.status).json(acquired.violation.body);
+  }
+
+  slot = acquired.slot;
+  if (waiting.signal.aborted) {
+    return concurrencyLimiter.release(slot);
+  }
+
+  next();
 }
 
 /**
@@ -103,6 +88,7 @@ const globalRateLimit = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  store: new RedisRateLimitStore({ prefix: 'rl:global:' }),
   handler: (req, res) => {
     logger.warn('Global rate limit exceeded', {
       ip: req.ip,
@@ -125,6 +111,7 @@ const speedLimiter = slowDown({
   delayMs: () => 500, // Add 500ms delay per request after delayAfter
   maxDelayMs: 20000, // Maximum delay of 20 seconds
   validate: { delayMs: false }, // Disable the warning
+  store: new RedisRateLimitStore({ prefix: 'rl:slow:' }),
   // Removed onLimitReached as it's deprecated
 });
 
@@ -132,21 +119,8 @@ const speedLimiter = slowDown({
  * Rate limiter for authenticated users based on subscription tier
  */
 const authenticatedUserRateLimit = rateLimit({
-  windowMs: 60 * 60 * 1000, // 1 hour
-  limit: (req) => {
-    const tier = req.userProfile?.subscription_tier || 'free';
-    
-    switch (tier) {
-      case 'pro':
-        return 1000;
-      case 'premium':
-        return 5000;
-      case 'enterprise':
-        return 10000;
-      default:
-        return 100; // free tier
-    }
-  },
+  windowMs: TIER_RATE_LIMIT_WINDOW_MS,
+  limit: (req) => getTierRequestLimit(req.userProfile?.subscription_tier || 'free'),
   keyGenerator: (req) => {
     // Use user ID for rate limiting instead of IP
     return req.user?.id || req.ip;
@@ -161,6 +135,8 @@ const authenticatedUserRateLimit = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  // Shared with the gRPC server's admission checks
+  store: userRateLimitStore,
   handler: (req, res, next, options) => {
     logger.warn('User rate limit exceeded', {
       userId: req.user?.id,
@@ -176,59 +152,94 @@ const authenticatedUserRateLimit = rateLimit({
  * Middleware to estimate and validate token usage before making the request
  */
 function estimateTokenUsage(req, res, next) {
-  try {
-    const body = req.body;
-    let estimatedInputTokens = 0;
-    
-    // Estimate input tokens based on content
-    if (body.contents && Array.isArray(body.contents)) {
-      for (const content of body.contents) {
-        if (content.parts && Array.isArray(content.parts)) {
-          for (const part of content.parts) {
-            if (part.text) {
-              // Rough estimation: 1 token ≈ 4 characters
-              estimatedInputTokens += Math.ceil(part.text.length / 4);
-            }
-            if (part.inlineData) {
-              // Images/files add significant tokens
-              estimatedInputTokens += 1000; // Conservative estimate
-            }
-          }
-        }
-      }
-    } else if (body.prompt) {
-      estimatedInputTokens = Math.ceil(body.prompt.length / 4);
-    }
+  req.estimatedTokens = estimateUsage(req.body);
 
-    // Add context and system message tokens
-    estimatedInputTokens += 100; // Buffer for system messages, etc.
+  logger.info('Token usage estimated', {
+    userId: req.user?.id,
+    estimatedInputTokens: req.estimatedTokens.input,
+    estimatedTotal: req.estimatedTokens.total
+  });
 
-    req.estimatedTokens = {
-      input: estimatedInputTokens,
-      total: estimatedInputTokens * 2 // Estimate output will be similar to input
-    };
+  next();
+}
 
-    logger.info('Token usage estimated', {
-      userId: req.user?.id,
-      estimatedInputTokens,
-      estimatedTotal: req.estimatedTokens.total
+/**
+ * Middleware to hold the estimated tokens and cost against the user's daily
+ * budget until the request has been metered. Runs after checkUserLimits and
+ * estimateTokenUsage.
+ */
+async function reserveEstimatedUsage(req, res, next) {
+  if (!req.user) {
+    return next();
+  }
+
+  const userId = req.user.id;
+  const { reservation, violation } = await reserveUsage(userId, {
+    estimatedTokens: req.estimatedTokens,
+    userLimits: req.userLimits,
+    model: req.gemini?.model
+  });
+
+  if (violation) {
+    return res.status(violation.status).json(violation.body);
+  }
+
+  if (reservation) {
+    req.budgetReservation = reservation;
+
+    // Whoever meters the request releases the hold once usage is written;
+    // this only catches requests that end without being metered
+    res.on('close', () => {
+      if (!reservation.settling) {
+        budgetReservations.release(reservation).catch(error => {
+          logger.error('Failed to release budget reservation', { userId, error: error.message });
+        });
+      }
     });
+  }
 
-    next();
-  } catch (error) {
-    logger.error('Error estimating token usage', {
-      error: error.message,
-      userId: req.user?.id
+  next();
+}
+
+/**
+ * Middleware to hold the estimated cost against the user's prepaid credit
+ * until the request has been metered. Runs after reserveEstimatedUsage.
+ */
+async function reserveCreditHold(req, res, next) {
+  if (!req.user) {
+    return next();
+  }
+
+  const { creditHold, violation } = await reserveCredit(req.user.id, {
+    estimatedTokens: req.estimatedTokens,
+    model: req.gemini?.model,
+    requestId: req.id
+  });
+
+  if (violation) {
+    return res.status(violation.status).json(violation.body);
+  }
+
+  if (creditHold) {
+    req.creditHold = creditHold;
+
+    // Whoever meters the request settles the hold; this only catches
+    // requests that end without being metered
+    res.on('close', () => {
+      if (!creditHold.settling) {
+        creditWallet.release(creditHold);
+      }
     });
-    
-    // Continue without estimation
-    req.estimatedTokens = { input: 0, total: 0 };
-    next();
   }
+
+  next();
 }
 
 module.exports = {
   checkUserLimits,
+  limitConcurrency,
+  reserveEstimatedUsage,
+  reserveCreditHold,
   globalRateLimit,
   speedLimiter,
   authenticatedUserRateLimit,
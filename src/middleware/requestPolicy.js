@@ -0,0 +1,591 @@
+const supabaseService = require('../services/supabase');
+const geminiService = require('../services/gemini');
+const budgetReservations = require('../services/budgetReservations');
+const creditWallet = require('../services/creditWallet');
+const concurrencyLimiter = require('../services/concurrencyLimiter');
+const piiFilter = require('../services/piiFilter');
+const RedisRateLimitStore = require('../services/rateLimitStore');
+const { checkTierPolicy } = require('./policy');
+const { checkGeminiBody } = require('./requestValidation');
+const { ACTION_METHODS, estimatePromptTokens } = require('../utils/geminiRequest');
+const logger = require('../utils/logger');
+
+/**
+ * Transport-agnostic admission checks shared by the HTTP middleware chain
+ * and the gRPC server. Each step returns a `violation` of the form
+ * `{ status, body }` (the HTTP status and JSON error body) or null.
+ */
+
+// Requests per hour allowed for each subscription tier
+const TIER_REQUEST_LIMITS = {
+  free: 100,
+  pro: 1000,
+  premium: 5000,
+  enterprise: 10000
+};
+
+const TIER_RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+
+// Shared with authenticatedUserRateLimit so both transports count against one limit
+const userRateLimitStore = new RedisRateLimitStore({ prefix: 'rl:user:' });
+userRateLimitStore.init({ windowMs: TIER_RATE_LIMIT_WINDOW_MS });
+
+function getTierRequestLimit(tier) {
+  return TIER_REQUEST_LIMITS[tier] || TIER_REQUEST_LIMITS.free;
+}
+
+/**
+ * Reject deactivated accounts
+ */
+function checkAccount(profile) {
+  if (profile?.is_active) {
+    return null;
+  }
+
+  return {
+    status: 403,
+    body: {
+      error: 'Account inactive',
+      message: 'Your account has been deactivated. Please contact support.'
+    }
+  };
+}
+
+/**
+ * Screen the prompt text for personal data and secrets under the user's
+ * organization settings, masking it in place in mask mode. Resolves with
+ * `{ redaction, violation }`; block mode turns any match into a 400.
+ */
+async function screenSensitiveData(userId, profile, body) {
+  try {
+    const redaction = await piiFilter.screen(userId, profile, body);
+    if (redaction?.mode !== 'block' || redaction.total === 0) {
+      return { redaction, violation: null };
+    }
+
+    const found = Object.entries(redaction.counts)
+      .map(([type, count]) => `${count} ${type.replace('_', ' ')}`)
+      .join(', ');
+
+    return {
+      redaction,
+      violation: {
+        status: 400,
+        body: {
+          error: 'Sensitive data detected',
+          code: 'PII_DETECTED',
+          message: `The request contains personal data or secrets (${found}). Remove them and try again.`,
+          details: { redactions: redaction.counts }
+        }
+      }
+    };
+  } catch (error) {
+    logger.error('Error screening request for sensitive data', {
+      userId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    // On error, allow request to proceed but log the issue
+    return { redaction: null, violation: null };
+  }
+}
+
+// Distinct error codes so clients can tell a busy slot from a spent quota
+const CONCURRENCY_LIMIT_CODES = {
+  requests: 'CONCURRENT_REQUEST_LIMIT',
+  streams: 'CONCURRENT_STREAM_LIMIT'
+};
+
+/**
+ * Take one of the user's concurrent request slots (and a stream slot for
+ * streams), waiting briefly for one if a queue timeout is configured.
+ * Whoever holds the slot releases it when the call ends. Errors are logged
+ * and the request is allowed through.
+ */
+async function acquireConcurrencySlot(userId, { tier, stream, signal }) {
+  try {
+    const { slot, kind, limit } = await concurrencyLimiter.acquire(userId, { tier, stream, signal });
+    if (slot) {
+      return { slot, violation: null };
+    }
+
+    logger.warn('User concurrency limit exceeded', { userId, tier, kind, limit });
+
+    return {
+      slot: null,
+      violation: {
+        status: 429,
+        body: {
+          error: 'Concurrency limit exceeded',
+          code: CONCURRENCY_LIMIT_CODES[kind],
+          message: kind === 'streams'
+            ? `Too many open streams: the ${tier} tier allows ${limit} at a time`
+            : `Too many requests in progress: the ${tier} tier allows ${limit} at a time`,
+          details: { tier, limit }
+        }
+      }
+    };
+  } catch (error) {
+    logger.error('Error acquiring concurrency slot', {
+      userId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    // On error, allow request to proceed but log the issue
+    return { slot: null, violation: null };
+  }
+}
+
+/**
+ * Count the request against the user's hourly tier rate limit
+ */
+async function consumeTierRateLimit(userId, tier) {
+  const limit = getTierRequestLimit(tier);
+  const { totalHits, resetTime } = await userRateLimitStore.increment(userId);
+  const quota = {
+    limit,
+    remaining: Math.max(limit - totalHits, 0),
+    resetTime
+  };
+
+  if (totalHits <= limit) {
+    return { quota, violation: null };
+  }
+
+  logger.warn('User rate limit exceeded', { userId, tier });
+
+  return {
+    quota,
+    violation: {
+      status: 429,
+      body: {
+        error: 'Rate limit exceeded',
+        message: `You have exceeded your ${tier} tier rate limit`,
+        tier
+      }
+    }
+  };
+}
+
+/**
+ * Report the user's hourly tier rate limit without counting a request
+ */
+async function peekTierRateLimit(userId, tier) {
+  const limit = getTierRequestLimit(tier);
+  const current = await userRateLimitStore.get(userId);
+  const totalHits = current?.totalHits || 0;
+
+  return {
+    limit,
+    remaining: Math.max(limit - totalHits, 0),
+    resetTime: current?.resetTime || null
+  };
+}
+
+/**
+ * Database quota checks in the order they are applied. Each period resets
+ * at the calendar boundary reported by `check_user_quotas`.
+ */
+const DATABASE_LIMIT_CHECKS = [
+  {
+    within: 'within_hourly_limit',
+    log: 'User exceeded hourly request limit',
+    error: 'Rate limit exceeded',
+    message: 'You have exceeded your hourly request limit',
+    details: limits => ({
+      requests_this_hour: Number(limits.requests_this_hour) || 0,
+      reset_time: limits.hour_resets_at
+    })
+  },
+  {
+    within: 'within_daily_token_limit',
+    log: 'User exceeded daily token limit',
+    error: 'Token limit exceeded',
+    message: 'You have exceeded your daily token limit',
+    details: limits => ({
+      tokens_today: Number(limits.tokens_today) || 0,
+      reset_time: limits.day_resets_at
+    })
+  },
+  {
+    within: 'within_daily_cost_limit',
+    log: 'User exceeded daily cost limit',
+    error: 'Cost limit exceeded',
+    message: 'You have exceeded your daily cost limit',
+    details: limits => ({
+      cost_today: parseFloat(limits.cost_today) || 0,
+      reset_time: limits.day_resets_at
+    })
+  },
+  {
+    within: 'within_monthly_token_limit',
+    log: 'User exceeded monthly token limit',
+    error: 'Token limit exceeded',
+    message: 'You have exceeded your monthly token limit',
+    details: limits => ({
+      tokens_this_month: Number(limits.tokens_this_month) || 0,
+      reset_time: limits.month_resets_at
+    })
+  },
+  {
+    within: 'within_monthly_cost_limit',
+    log: 'User exceeded monthly cost limit',
+    error: 'Cost limit exceeded',
+    message: 'You have exceeded your monthly cost limit',
+    details: limits => ({
+      cost_this_month: parseFloat(limits.cost_this_month) || 0,
+      reset_time: limits.month_resets_at
+    })
+  }
+];
+
+/**
+ * Check current usage against the user's limits in the database. Errors
+ * are logged and the request is allowed through.
+ */
+async function checkDatabaseLimits(userId) {
+  try {
+    const limits = await supabaseService.checkUserLimits(userId);
+
+    logger.info('Checking user limits', {
+      userId,
+      limits
+    });
+
+    const exceeded = DATABASE_LIMIT_CHECKS.find(check => !limits[check.within]);
+    if (!exceeded) {
+      return { limits, violation: null };
+    }
+
+    const details = exceeded.details(limits);
+    logger.warn(exceeded.log, { userId, ...details });
+
+    return {
+      limits,
+      violation: {
+        status: 429,
+        body: {
+          error: exceeded.error,
+          message: exceeded.message,
+          details
+        }
+      }
+    };
+  } catch (error) {
+    logger.error('Error checking user limits', {
+      userId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    // On error, allow request to proceed but log the issue
+    return { limits: null, violation: null };
+  }
+}
+
+/**
+ * Rough input and total token estimate for a Gemini request body
+ */
+function estimateUsage(body) {
+  try {
+    // Add a buffer for system messages, etc.
+    const input = estimatePromptTokens(body) + 100;
+    return {
+      input,
+      total: input * 2 // Estimate output will be similar to input
+    };
+  } catch (error) {
+    logger.error('Error estimating token usage', { error: error.message });
+    return { input: 0, total: 0 };
+  }
+}
+
+/**
+ * Price an `estimateUsage` estimate for the model
+ */
+function estimateCost(estimatedTokens, model) {
+  return geminiService.calculateCost({
+    promptTokenCount: estimatedTokens.input,
+    candidatesTokenCount: estimatedTokens.total - estimatedTokens.input
+  }, model);
+}
+
+/**
+ * Hold the estimated tokens and cost against the user's daily and monthly
+ * budget until the request has been metered. Whoever meters the request
+ * releases the hold.
+ */
+async function reserveUsage(userId, { estimatedTokens, userLimits, model }) {
+  if (!userLimits || !estimatedTokens?.total) {
+    return { reservation: null, budget: null, violation: null };
+  }
+
+  try {
+    const limits = await supabaseService.getUserLimits(userId);
+    const estimatedCost = estimateCost(estimatedTokens, model);
+
+    const { reservation, totals } = await budgetReservations.reserve(userId, {
+      tokens: estimatedTokens.total,
+      cost: estimatedCost
+    });
+
+    const budget = {
+      tokensToday: Number(userLimits.tokens_today) || 0,
+      tokensPerDay: limits.tokens_per_day,
+      costToday: parseFloat(userLimits.cost_today) || 0,
+      maxCostPerDay: limits.max_cost_per_day ? parseFloat(limits.max_cost_per_day) : null,
+      tokensThisMonth: Number(userLimits.tokens_this_month) || 0,
+      tokensPerMonth: limits.tokens_per_month || null,
+      costThisMonth: parseFloat(userLimits.cost_this_month) || 0,
+      maxCostPerMonth: limits.max_cost_per_month ? parseFloat(limits.max_cost_per_month) : null,
+      dayResetsAt: userLimits.day_resets_at,
+      monthResetsAt: userLimits.month_resets_at
+    };
+
+    const reservedCost = parseFloat(totals.cost.toFixed(6));
+    const checks = [
+      {
+        exceeded: budget.tokensPerDay && budget.tokensToday + totals.tokens > budget.tokensPerDay,
+        error: 'Token limit exceeded',
+        message: 'This request would exceed your daily token limit',
+        details: {
+          tokens_today: budget.tokensToday,
+          tokens_reserved: totals.tokens,
+          tokens_per_day: budget.tokensPerDay,
+          reset_time: budget.dayResetsAt
+        }
+      },
+      {
+        exceeded: budget.maxCostPerDay && budget.costToday + totals.cost > budget.maxCostPerDay,
+        error: 'Cost limit exceeded',
+        message: 'This request would exceed your daily cost limit',
+        details: {
+          cost_today: budget.costToday,
+          cost_reserved: reservedCost,
+          max_cost_per_day: budget.maxCostPerDay,
+          reset_time: budget.dayResetsAt
+        }
+      },
+      {
+        exceeded: budget.tokensPerMonth && budget.tokensThisMonth + totals.tokens > budget.tokensPerMonth,
+        error: 'Token limit exceeded',
+        message: 'This request would exceed your monthly token limit',
+        details: {
+          tokens_this_month: budget.tokensThisMonth,
+          tokens_reserved: totals.tokens,
+          tokens_per_month: budget.tokensPerMonth,
+          reset_time: budget.monthResetsAt
+        }
+      },
+      {
+        exceeded: budget.maxCostPerMonth && budget.costThisMonth + totals.cost > budget.maxCostPerMonth,
+        error: 'Cost limit exceeded',
+        message: 'This request would exceed your monthly cost limit',
+        details: {
+          cost_this_month: budget.costThisMonth,
+          cost_reserved: reservedCost,
+          max_cost_per_month: budget.maxCostPerMonth,
+          reset_time: budget.monthResetsAt
+        }
+      }
+    ];
+
+    const exceeded = checks.find(check => check.exceeded);
+    if (exceeded) {
+      await budgetReservations.release(reservation);
+
+      logger.warn('Request would exceed budget', { userId, reason: exceeded.message, ...exceeded.details });
+
+      return {
+        reservation: null,
+        budget,
+        violation: {
+          status: 429,
+          body: {
+            error: exceeded.error,
+            message: exceeded.message,
+            details: exceeded.details
+          }
+        }
+      };
+    }
+
+    return { reservation, budget, violation: null };
+  } catch (error) {
+    logger.error('Error reserving estimated usage', {
+      userId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    // On error, allow request to proceed but log the issue
+    return { reservation: null, budget: null, violation: null };
+  }
+}
+
+/**
+ * Hold the estimated cost against the user's prepaid credit until the
+ * request has been metered. Users without a credit wallet get no hold.
+ * Errors are logged and the request is allowed through.
+ */
+async function reserveCredit(userId, { estimatedTokens, model, requestId }) {
+  if (!creditWallet.isEnabled() || !estimatedTokens?.total) {
+    return { creditHold: null, violation: null };
+  }
+
+  try {
+    const required = estimateCost(estimatedTokens, model);
+    const { status, hold, balance, held } = await creditWallet.reserve(userId, {
+      amount: required,
+      requestId
+    });
+
+    if (status !== 'insufficient') {
+      return { creditHold: hold, violation: null };
+    }
+
+    logger.warn('Insufficient credit for request', {
+      userId,
+      balance,
+      held,
+      required
+    });
+
+    return {
+      creditHold: null,
+      violation: {
+        status: 402,
+        body: {
+          error: 'Insufficient credit',
+          message: 'Your credit balance does not cover this request. Please top up to continue.',
+          details: {
+            balance,
+            held,
+            available: parseFloat((balance - held).toFixed(6)),
+            required: parseFloat(required.toFixed(6))
+          }
+        }
+      }
+    };
+  } catch (error) {
+    logger.error('Error reserving credit', {
+      userId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    // On error, allow request to proceed but log the issue
+    return { creditHold: null, violation: null };
+  }
+}
+
+/**
+ * Run every admission step for a billable model call, in the same order as
+ * the HTTP chain: active account, request body, sensitive data, tier
+ * policy, tier rate limit, concurrency slot, database limits, the budget
+ * reservation, then the credit hold.
+ * Resolves with `{ violation, redaction, slot, quota, limits, budget,
+ * reservation, creditHold }`. The caller releases `slot` when the call
+ * ends, including when it is rejected by a later step.
+ */
+async function admitRequest({ user, profile, model, action, body, requestId, signal }) {
+  const tier = profile?.subscription_tier || 'free';
+  const method = ACTION_METHODS[action];
+  const stream = action === 'streamGenerateContent';
+  const admission = {
+    violation: null,
+    redaction: null,
+    slot: null,
+    quota: null,
+    limits: null,
+    budget: null,
+    reservation: null,
+    creditHold: null
+  };
+
+  admission.violation = checkAccount(profile);
+  if (admission.violation) {
+    return admission;
+  }
+
+  const bodyViolation = checkGeminiBody(action, body);
+  if (bodyViolation) {
+    admission.violation = { status: 400, body: bodyViolation };
+    return admission;
+  }
+
+  const screened = await screenSensitiveData(user.id, profile, body);
+  admission.redaction = screened.redaction;
+  if (screened.violation) {
+    admission.violation = screened.violation;
+    return admission;
+  }
+
+  const policyViolation = checkTierPolicy(tier, { model, method, action, body });
+  if (policyViolation) {
+    admission.violation = { status: 403, body: policyViolation };
+    return admission;
+  }
+
+  const rateLimit = await consumeTierRateLimit(user.id, tier);
+  admission.quota = rateLimit.quota;
+  if (rateLimit.violation) {
+    admission.violation = rateLimit.violation;
+    return admission;
+  }
+
+  const concurrency = await acquireConcurrencySlot(user.id, { tier, stream, signal });
+  admission.slot = concurrency.slot;
+  if (concurrency.violation) {
+    admission.violation = concurrency.violation;
+    return admission;
+  }
+
+  const databaseLimits = await checkDatabaseLimits(user.id);
+  admission.limits = databaseLimits.limits;
+  if (databaseLimits.violation) {
+    admission.violation = databaseLimits.violation;
+    return admission;
+  }
+
+  const estimatedTokens = estimateUsage(body);
+  const reserved = await reserveUsage(user.id, {
+    estimatedTokens,
+    userLimits: databaseLimits.limits,
+    model
+  });
+  admission.budget = reserved.budget;
+  admission.reservation = reserved.reservation;
+  admission.violation = reserved.violation;
+  if (admission.violation) {
+    return admission;
+  }
+
+  const credit = await reserveCredit(user.id, { estimatedTokens, model, requestId });
+  admission.creditHold = credit.creditHold;
+  if (credit.violation) {
+    admission.violation = credit.violation;
+    await budgetReservations.release(admission.reservation);
+    admission.reservation = null;
+  }
+
+  return admission;
+}
+
+module.exports = {
+  TIER_RATE_LIMIT_WINDOW_MS,
+  userRateLimitStore,
+  getTierRequestLimit,
+  checkAccount,
+  screenSensitiveData,
+  acquireConcurrencySlot,
+  peekTierRateLimit,
+  consumeTierRateLimit,
+  checkDatabaseLimits,
+  estimateUsage,
+  reserveUsage,
+  reserveCredit,
+  admitRequest
+};
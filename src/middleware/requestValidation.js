@@ -0,0 +1,60 @@
+const logger = require('../utils/logger');
+const { validate } = require('../utils/validation');
+const { GEMINI_BODY_SCHEMAS } = require('../utils/geminiSchemas');
+
+/**
+ * Check a Gemini request body against the schema for its model action.
+ * Returns null when valid, otherwise the 400 response body with one
+ * `{ field, message }` per problem.
+ */
+function checkGeminiBody(action, body) {
+  const schema = GEMINI_BODY_SCHEMAS[action];
+  if (!schema) {
+    return null;
+  }
+
+  try {
+    validate(schema, body);
+    return null;
+  } catch (error) {
+    if (error.name !== 'ValidationError') {
+      throw error;
+    }
+
+    return {
+      error: 'Validation Error',
+      message: error.message,
+      details: error.details
+    };
+  }
+}
+
+/**
+ * Middleware rejecting malformed Gemini request bodies described by
+ * `req.gemini` before any quota is spent. Runs after authentication.
+ */
+function validateGeminiBody(req, res, next) {
+  if (!req.gemini?.billable) {
+    return next();
+  }
+
+  const violation = checkGeminiBody(req.gemini.action, req.body);
+
+  if (violation) {
+    logger.warn('Invalid request body', {
+      userId: req.user?.id,
+      model: req.gemini.model,
+      action: req.gemini.action,
+      fields: violation.details.map(detail => detail.field)
+    });
+
+    return res.status(400).json(violation);
+  }
+
+  next();
+}
+
+module.exports = {
+  checkGeminiBody,
+  validateGeminiBody
+};
@@ -0,0 +1,74 @@
+const responseCache = require('../services/responseCache');
+const usageMeter = require('../services/usageMeter');
+const logger = require('../utils/logger');
+
+/**
+ * Serve opted-in deterministic Gemini calls from the response cache.
+ * Runs after the request checks and the tier rate limit but before the
+ * other limit checks, so hits count towards the rate limit but are
+ * answered without taking a concurrency slot, a budget reservation or a
+ * credit hold, and are metered at zero cost.
+ * Misses leave `req.responseCacheKey` so the proxy can store the upstream
+ * response.
+ */
+async function serveCachedResponse(req, res, next) {
+  if (!req.gemini?.billable || !responseCache.isRequested(req)) {
+    return next();
+  }
+
+  const { model, action, requestType } = req.gemini;
+
+  if (!responseCache.isCacheable(action, req.body)) {
+    res.set('X-Cache', 'BYPASS');
+    return next();
+  }
+
+  try {
+    const key = responseCache.buildKey(req, req.gemini, req.body);
+    const cached = await responseCache.get(key);
+
+    if (!cached) {
+      res.set('X-Cache', 'MISS');
+      req.responseCacheKey = key;
+      return next();
+    }
+
+    logger.info('Serving response from cache', {
+      userId: req.user.id,
+      requestId: req.id,
+      model,
+      action,
+      cachedAt: cached.cachedAt
+    });
+
+    usageMeter.record({
+      userId: req.user.id,
+      model,
+      requestType: `cached_${requestType}`,
+      usage: {
+        promptTokenCount: 0,
+        candidatesTokenCount: 0,
+        totalTokenCount: 0
+      },
+      metadata: req.requestMetadata
+    }).catch(error => {
+      logger.error('Async cache hit usage recording failed', { error: error.message });
+    });
+
+    res.set({
+      'X-Cache': 'HIT',
+      'X-User-ID': req.user.id
+    });
+    return res.status(200).json(cached.data);
+  } catch (error) {
+    logger.error('Response cache lookup failed', {
+      userId: req.user?.id,
+      error: error.message
+    });
+    next();
+  }
+}
+
+module.exports = {
+  serveCachedResponse
+};
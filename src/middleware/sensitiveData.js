@@ -0,0 +1,47 @@
+const piiFilter = require('../services/piiFilter');
+const { screenSensitiveData } = require('./requestPolicy');
+const { restoreText } = require('../utils/piiRedaction');
+
+/**
+ * Put masked values back into bodies the route sends in one piece.
+ * res.json serializes through res.send, and no masked value contains a
+ * character JSON would escape, so restoring the sent text covers both.
+ * Streamed responses are restored per parsed event by the routes, with
+ * `piiFilter.streamRestorer`.
+ */
+function restoreResponse(res, placeholders) {
+  const send = res.send.bind(res);
+
+  res.send = body => send(typeof body === 'string' ? restoreText(body, placeholders) : body);
+}
+
+/**
+ * Screen the body of every model call for personal data and secrets,
+ * whether or not it is billed, since all of them reach Google. Blocked
+ * requests get a 400 before any quota is spent; masked requests have
+ * their placeholders restored in the response when the organization asks
+ * for it. Findings are kept in `req.requestMetadata` for the usage record.
+ */
+async function filterSensitiveData(req, res, next) {
+  if (!req.gemini?.model || !req.body) {
+    return next();
+  }
+
+  const { redaction, violation } = await screenSensitiveData(req.user.id, req.userProfile, req.body);
+  if (violation) {
+    return res.status(violation.status).json(violation.body);
+  }
+
+  req.piiRedaction = redaction;
+  req.requestMetadata = piiFilter.usageMetadata(redaction);
+
+  if (redaction?.restore && redaction.total > 0) {
+    restoreResponse(res, redaction.placeholders);
+  }
+
+  next();
+}
+
+module.exports = {
+  filterSensitiveData
+};
@@ -0,0 +1,450 @@
+const express = require('express');
+const Joi = require('joi');
+const { authenticateUser, requireAdmin } = require('../middleware/auth');
+const keyPool = require('../services/keyPool');
+const upstreamClient = require('../services/upstream');
+const supabaseService = require('../services/supabase');
+const creditWallet = require('../services/creditWallet');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { validate } = require('../utils/validation');
+const { parseHistoryQuery, buildUsageHistory } = require('../utils/usageHistory');
+const { isValidTimezone } = require('../utils/timezone');
+
+const router = express.Router();
+
+const TIERS = Object.keys(config.tierPolicies.tiers);
+
+const userIdSchema = Joi.string().guid().required().label('userId');
+
+const listUsersSchema = Joi.object({
+  search: Joi.string().trim().max(200),
+  tier: Joi.string().valid(...TIERS),
+  is_active: Joi.boolean(),
+  limit: Joi.number().integer().min(1).max(100).default(25),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+// IANA zone name for the user's quota periods; null falls back to the
+// organization's timezone, then QUOTA_TIMEZONE
+const timezoneSchema = Joi.string()
+  .custom((value, helpers) => (isValidTimezone(value) ? value : helpers.error('any.invalid')))
+  .allow(null)
+  .messages({ 'any.invalid': '"timezone" must be an IANA timezone such as Europe/Berlin' });
+
+const profileUpdateSchema = Joi.object({
+  subscription_tier: Joi.string().valid(...TIERS),
+  is_active: Joi.boolean(),
+  timezone: timezoneSchema
+}).min(1).messages({ 'object.min': 'Provide subscription_tier, is_active or timezone' });
+
+// Monthly limits are optional; null removes them
+const limitsUpdateSchema = Joi.object({
+  requests_per_hour: Joi.number().integer().min(0),
+  tokens_per_day: Joi.number().integer().min(0),
+  max_cost_per_day: Joi.number().min(0).precision(2),
+  tokens_per_month: Joi.number().integer().min(0).allow(null),
+  max_cost_per_month: Joi.number().min(0).precision(2).allow(null)
+}).min(1).messages({
+  'object.min': 'Provide requests_per_hour, tokens_per_day, max_cost_per_day, tokens_per_month or max_cost_per_month'
+});
+
+const creditsQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+// Top-ups and refunds add credit; adjustments may go either way
+const creditEntrySchema = Joi.object({
+  type: Joi.string().valid('topup', 'refund', 'adjustment').required(),
+  amount: Joi.number().precision(6).required().when('type', {
+    is: 'adjustment',
+    then: Joi.invalid(0).messages({ 'any.invalid': '"amount" must not be 0' }),
+    otherwise: Joi.number().positive()
+  }),
+  reference: Joi.string().trim().max(200),
+  description: Joi.string().trim().max(500)
+});
+
+const auditQuerySchema = Joi.object({
+  user_id: Joi.string().guid(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+router.use(authenticateUser, requireAdmin);
+
+function toAdminUser({ profile, limits, authUser }) {
+  return {
+    user_id: profile.user_id,
+    email: authUser?.email || null,
+    created_at: authUser?.created_at || null,
+    last_sign_in_at: authUser?.last_sign_in_at || null,
+    profile,
+    limits
+  };
+}
+
+function sendAdminError(res, message) {
+  res.status(500).json({
+    error: 'ADMIN_ERROR',
+    message
+  });
+}
+
+/**
+ * Resolve the :userId param to an existing auth user, replying 400 or 404
+ * when it does not. Returns null once a response has been sent.
+ */
+async function loadTargetUser(req, res, next) {
+  let userId;
+  try {
+    userId = validate(userIdSchema, req.params.userId);
+  } catch (error) {
+    next(error);
+    return null;
+  }
+
+  const authUser = await supabaseService.getAuthUser(userId);
+  if (!authUser) {
+    res.status(404).json({
+      error: 'USER_NOT_FOUND',
+      message: `No user with id ${userId}`
+    });
+    return null;
+  }
+
+  return authUser;
+}
+
+/**
+ * Write the audit entry for an admin change. The change has already been
+ * applied, so a failed write is logged with the full change instead.
+ */
+async function auditChange(req, { targetUserId, action, before, after }) {
+  const entry = {
+    adminId: req.user.id,
+    targetUserId,
+    action,
+    before,
+    after
+  };
+
+  logger.info('Admin changed user', { ...entry, requestId: req.id });
+
+  try {
+    await supabaseService.recordAdminAction(entry);
+  } catch (error) {
+    logger.error('Admin change was applied but not audit-logged', {
+      ...entry,
+      requestId: req.id,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Pick the fields of `row` that an update touches
+ */
+function pick(row, fields) {
+  return Object.fromEntries(fields.map(field => [field, row?.[field] ?? null]));
+}
+
+// Health of the Gemini API key pool
+router.get('/keys', (req, res) => {
+  res.json({
+    ...keyPool.getHealth(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Per-model circuit breaker states
+router.get('/circuits', (req, res) => {
+  res.json({
+    circuits: upstreamClient.getCircuitStates(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// List and search users with their profiles and limits
+router.get('/users', async (req, res, next) => {
+  let query;
+  try {
+    query = validate(listUsersSchema, req.query);
+  } catch (error) {
+    return next(error);
+  }
+
+  try {
+    const { users, total } = await supabaseService.listUserProfiles({
+      search: query.search,
+      tier: query.tier,
+      isActive: query.is_active,
+      limit: query.limit,
+      offset: query.offset
+    });
+
+    res.json({
+      users: users.map(toAdminUser),
+      pagination: {
+        limit: query.limit,
+        offset: query.offset,
+        total,
+        has_more: query.offset + query.limit < total
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing users', { adminId: req.user.id, error: error.message });
+    sendAdminError(res, 'Failed to list users');
+  }
+});
+
+// One user's profile, limits and current usage
+router.get('/users/:userId', async (req, res, next) => {
+  try {
+    const authUser = await loadTargetUser(req, res, next);
+    if (!authUser) {
+      return;
+    }
+
+    const [profile, limits, usage, summary] = await Promise.all([
+      supabaseService.fetchUserProfile(authUser.id),
+      supabaseService.getUserLimits(authUser.id),
+      supabaseService.checkUserLimits(authUser.id),
+      supabaseService.getUserUsageSummary(authUser.id)
+    ]);
+
+    res.json({
+      ...toAdminUser({ profile, limits, authUser }),
+      usage,
+      summary
+    });
+  } catch (error) {
+    logger.error('Error getting user', {
+      adminId: req.user.id,
+      userId: req.params.userId,
+      error: error.message
+    });
+    sendAdminError(res, 'Failed to get user');
+  }
+});
+
+// Change a user's subscription tier or quota timezone, or activate/deactivate the account
+router.patch('/users/:userId', async (req, res, next) => {
+  let changes;
+  try {
+    changes = validate(profileUpdateSchema, req.body);
+  } catch (error) {
+    return next(error);
+  }
+
+  try {
+    const authUser = await loadTargetUser(req, res, next);
+    if (!authUser) {
+      return;
+    }
+
+    const before = await supabaseService.fetchUserProfile(authUser.id);
+    const profile = await supabaseService.updateUserProfile(authUser.id, changes);
+
+    await auditChange(req, {
+      targetUserId: authUser.id,
+      action: 'update_profile',
+      before: pick(before, Object.keys(changes)),
+      after: pick(profile, Object.keys(changes))
+    });
+
+    res.json({ profile });
+  } catch (error) {
+    logger.error('Error updating user profile', {
+      adminId: req.user.id,
+      userId: req.params.userId,
+      error: error.message
+    });
+    sendAdminError(res, 'Failed to update user profile');
+  }
+});
+
+// Change a user's hourly request, daily or monthly token and cost limits
+router.patch('/users/:userId/limits', async (req, res, next) => {
+  let changes;
+  try {
+    changes = validate(limitsUpdateSchema, req.body);
+  } catch (error) {
+    return next(error);
+  }
+
+  try {
+    const authUser = await loadTargetUser(req, res, next);
+    if (!authUser) {
+      return;
+    }
+
+    const before = await supabaseService.getUserLimits(authUser.id);
+    const limits = await supabaseService.updateUserLimits(authUser.id, changes);
+
+    await auditChange(req, {
+      targetUserId: authUser.id,
+      action: 'update_limits',
+      before: pick(before, Object.keys(changes)),
+      after: pick(limits, Object.keys(changes))
+    });
+
+    res.json({ limits });
+  } catch (error) {
+    logger.error('Error updating user limits', {
+      adminId: req.user.id,
+      userId: req.params.userId,
+      error: error.message
+    });
+    sendAdminError(res, 'Failed to update user limits');
+  }
+});
+
+// A user's recent usage, with the same filters as /api/usage/me/history
+router.get('/users/:userId/usage', async (req, res, next) => {
+  let query;
+  try {
+    query = parseHistoryQuery(req.query);
+  } catch (error) {
+    return next(error);
+  }
+
+  try {
+    const authUser = await loadTargetUser(req, res, next);
+    if (!authUser) {
+      return;
+    }
+
+    const [history, records] = await Promise.all([
+      supabaseService.getUsageHistory(authUser.id, query),
+      supabaseService.getUsageRecords(authUser.id, query)
+    ]);
+
+    res.json({
+      user_id: authUser.id,
+      ...buildUsageHistory(history, records, query)
+    });
+  } catch (error) {
+    logger.error('Error getting user usage', {
+      adminId: req.user.id,
+      userId: req.params.userId,
+      error: error.message
+    });
+    sendAdminError(res, 'Failed to get user usage');
+  }
+});
+
+// A user's prepaid credit balance and ledger
+router.get('/users/:userId/credits', async (req, res, next) => {
+  let query;
+  try {
+    query = validate(creditsQuerySchema, req.query);
+  } catch (error) {
+    return next(error);
+  }
+
+  try {
+    const authUser = await loadTargetUser(req, res, next);
+    if (!authUser) {
+      return;
+    }
+
+    res.json({
+      user_id: authUser.id,
+      ...await creditWallet.getStatement(authUser.id, query)
+    });
+  } catch (error) {
+    logger.error('Error getting user credits', {
+      adminId: req.user.id,
+      userId: req.params.userId,
+      error: error.message
+    });
+    sendAdminError(res, 'Failed to get user credits');
+  }
+});
+
+// Add a top-up, refund or adjustment to a user's credit. A repeated
+// reference returns the existing entry instead of applying it again.
+router.post('/users/:userId/credits', async (req, res, next) => {
+  let entry;
+  try {
+    entry = validate(creditEntrySchema, req.body);
+  } catch (error) {
+    return next(error);
+  }
+
+  try {
+    const authUser = await loadTargetUser(req, res, next);
+    if (!authUser) {
+      return;
+    }
+
+    const before = await supabaseService.getCreditWallet(authUser.id);
+    const { entry: applied, replayed } = await supabaseService.applyCredit({
+      userId: authUser.id,
+      type: entry.type,
+      amount: entry.amount,
+      reference: entry.reference,
+      description: entry.description,
+      createdBy: req.user.id
+    });
+
+    if (!replayed) {
+      await auditChange(req, {
+        targetUserId: authUser.id,
+        action: `credit_${entry.type}`,
+        before: { balance: before ? parseFloat(before.balance) : null },
+        after: {
+          balance: parseFloat(applied.balance_after),
+          ledger_entry_id: applied.id
+        }
+      });
+    }
+
+    res.status(replayed ? 200 : 201).json({
+      entry: creditWallet.formatEntry(applied),
+      replayed
+    });
+  } catch (error) {
+    logger.error('Error applying user credit', {
+      adminId: req.user.id,
+      userId: req.params.userId,
+      error: error.message
+    });
+    sendAdminError(res, 'Failed to apply credit');
+  }
+});
+
+// Audit log of admin changes, newest first
+router.get('/audit', async (req, res, next) => {
+  let query;
+  try {
+    query = validate(auditQuerySchema, req.query);
+  } catch (error) {
+    return next(error);
+  }
+
+  try {
+    const { entries, total } = await supabaseService.getAdminAuditLog({
+      targetUserId: query.user_id,
+      limit: query.limit,
+      offset: query.offset
+    });
+
+    res.json({
+      entries,
+      pagination: {
+        limit: query.limit,
+        offset: query.offset,
+        total,
+        has_more: query.offset + query.limit < total
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting admin audit log', { adminId: req.user.id, error: error.message });
+    sendAdminError(res, 'Failed to get audit log');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,207 @@
+const express = require('express');
+const { Transform } = require('stream');
+const { authenticateUser } = require('../middleware/auth');
+const { billablePipeline } = require('../middleware/pipeline');
+const { mapErrorResponses } = require('../middleware/errorEnvelope');
+const geminiService = require('../services/gemini');
+const piiFilter = require('../services/piiFilter');
+const logger = require('../utils/logger');
+const { parseGeminiPath } = require('../utils/geminiRequest');
+const { GeminiStreamParser } = require('../utils/streamUsageTap');
+const { relayStream } = require('../utils/streamRelay');
+const { TranslationError } = require('../utils/openaiTranslator');
+const {
+  toGeminiRequest,
+  toMessage,
+  MessageStream,
+  toAnthropicError
+} = require('../utils/anthropicTranslator');
+
+const router = express.Router();
+
+/**
+ * Translate an Anthropic Messages body into a Gemini request so the shared
+ * policy and limit middleware see the same shape as the native route
+ */
+function translateMessagesRequest(req, res, next) {
+  let translated;
+  try {
+    translated = toGeminiRequest(req.body);
+  } catch (error) {
+    if (error instanceof TranslationError) {
+      return res.status(400).json(toAnthropicError(400, error.message));
+    }
+    return next(error);
+  }
+
+  const action = translated.stream ? 'streamGenerateContent' : 'generateContent';
+
+  req.anthropic = {
+    model: req.body.model,
+    stream: translated.stream
+  };
+  req.body = translated.body;
+  req.gemini = parseGeminiPath(`/v1beta/models/${encodeURIComponent(translated.model)}:${action}`);
+  next();
+}
+
+/**
+ * Transform a raw Gemini stream body into Anthropic Messages SSE events,
+ * restoring masked values with `restorer` when given
+ */
+function createEventStream(model, restorer = null) {
+  const translator = new MessageStream(model);
+  let output = [];
+  const parser = new GeminiStreamParser((message) => {
+    output.push(...translator.push(restorer ? restorer.restore(message) : message));
+  });
+
+  const drain = (stream) => {
+    for (const { event, data } of output) {
+      stream.push(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+    output = [];
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      parser.write(chunk);
+      drain(this);
+      callback();
+    },
+    flush(callback) {
+      parser.end();
+      const rest = restorer?.end();
+      if (rest) {
+        output.push(...translator.push(rest));
+      }
+      output.push(...translator.finish());
+      drain(this);
+      callback();
+    }
+  });
+}
+
+async function streamMessage(req, res, signal) {
+  const userId = req.user.id;
+  const startTime = Date.now();
+
+  const { stream } = await geminiService.streamGenerateContent(
+    req.gemini.model,
+    req.body,
+    userId,
+    req.gemini.requestType,
+    {
+      creditHold: req.creditHold,
+      metadata: req.requestMetadata,
+      reservation: req.budgetReservation,
+      signal
+    }
+  );
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'X-Accel-Buffering': 'no',
+    'X-User-ID': userId,
+    'X-Request-ID': req.id || 'unknown'
+  });
+  res.flushHeaders();
+
+  relayStream(stream, createEventStream(req.anthropic.model, piiFilter.streamRestorer(req.piiRedaction)), res, {
+    errorEvent: error => `event: error\ndata: ${JSON.stringify(toAnthropicError(502, `Gemini stream failed: ${error.message}`))}\n\n`,
+    callback: (error) => {
+      if (error) {
+        logger.warn('Messages stream ended early', {
+          userId,
+          requestId: req.id,
+          error: error.message,
+          duration: Date.now() - startTime
+        });
+        return;
+      }
+
+      logger.info('Messages stream completed', {
+        userId,
+        requestId: req.id,
+        duration: Date.now() - startTime
+      });
+    }
+  });
+}
+
+async function createMessage(req, res) {
+  const userId = req.user.id;
+
+  // Cancel the Gemini call if the client disconnects before we finish
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      abortController.abort();
+    }
+  });
+
+  try {
+    if (req.anthropic.stream) {
+      return await streamMessage(req, res, abortController.signal);
+    }
+
+    const result = await geminiService.generateContent(
+      req.gemini.model,
+      req.body,
+      userId,
+      req.gemini.requestType,
+      {
+        creditHold: req.creditHold,
+        metadata: req.requestMetadata,
+        reservation: req.budgetReservation,
+        signal: abortController.signal
+      }
+    );
+
+    res.set({
+      'X-User-ID': userId,
+      'X-Request-ID': req.id || 'unknown'
+    });
+    res.json(toMessage(result.data, req.anthropic.model));
+
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      logger.info('Client disconnected before the message finished', {
+        userId,
+        requestId: req.id
+      });
+      return;
+    }
+
+    logger.error('Messages request failed', {
+      userId,
+      requestId: req.id,
+      model: req.gemini.model,
+      error: error.message,
+      status: error.status
+    });
+
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    const status = error.status || 500;
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    res.status(status).json(toAnthropicError(status, error.message || 'Gemini API error'));
+  }
+}
+
+// Anthropic Messages API compatible endpoint backed by Gemini generateContent
+router.post(
+  '/messages',
+  mapErrorResponses((status, body) => toAnthropicError(status, body.message || body.error)),
+  authenticateUser,
+  translateMessagesRequest,
+  ...billablePipeline,
+  createMessage
+);
+
+module.exports = router;
@@ -1,19 +1,176 @@
 const express = require('express');
 const { authenticateUser } = require('../middleware/auth');
+const { serveCachedResponse } = require('../middleware/responseCache');
 const { globalRateLimit } = require('../middleware/rateLimiter');
-const config = require('../config/config');
+const { requestChecks, rateLimitChecks, limitChecks } = require('../middleware/pipeline');
 const logger = require('../utils/logger');
-const fetch = require('node-fetch');
+const usageMeter = require('../services/usageMeter');
+const keyPool = require('../services/keyPool');
+const upstreamClient = require('../services/upstream');
+const responseCache = require('../services/responseCache');
+const piiFilter = require('../services/piiFilter');
+const { parseGeminiPath, estimateTextTokens, collectText } = require('../utils/geminiRequest');
+const { createUsageTap } = require('../utils/streamUsageTap');
+const { createRestoreStream } = require('../utils/piiRedaction');
+const { pipeline } = require('stream');
 
 const router = express.Router();
 
-// Completely transparent proxy - forwards everything exactly as-is to Google
-router.use('*', authenticateUser, globalRateLimit, async (req, res) => {
-  const userId = req.user.id;
-  // Simply redirect to Google API keeping the path as-is
+// Response headers that must not be copied from Google's response
+const HOP_BY_HOP_HEADERS = ['content-encoding', 'transfer-encoding'];
+
+// Request headers that carry credentials and must never be logged
+const SECRET_HEADERS = ['authorization', 'cookie', 'x-goog-api-key'];
+
+/**
+ * Copy of request headers that is safe to log
+ */
+function redactHeaders(headers) {
+  return Object.fromEntries(
+    Object.entries(headers).filter(([key]) => !SECRET_HEADERS.includes(key.toLowerCase()))
+  );
+}
+
+/**
+ * Describe the Gemini call from the proxied path so later middleware
+ * knows the model and whether the request is billable. Only reads may
+ * go to paths that are not a model call: anything else could reach a
+ * Google endpoint that none of the checks know how to limit or meter.
+ */
+function describeGeminiRequest(req, res, next) {
   const path = req.originalUrl.replace('/api/gemini', '') || '/v1beta/models';
-  const separator = path.includes('?') ? '&' : '?';
-  const googleUrl = `https://generativelanguage.googleapis.com${path}${separator}key=${config.gemini.apiKey}`;
+  req.gemini = parseGeminiPath(path);
+
+  if (!req.gemini.model && req.method !== 'GET' && req.method !== 'HEAD') {
+    logger.warn('Rejected request to an unknown Gemini route', {
+      userId: req.user.id,
+      method: req.method,
+      path: req.gemini.path
+    });
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Only Gemini model calls can be proxied with this method',
+      details: { method: req.method, path: req.gemini.path }
+    });
+  }
+
+  next();
+}
+
+/**
+ * Copy upstream status and headers onto the client response
+ */
+function forwardResponseHead(response, res, req, { streaming = false } = {}) {
+  response.headers.forEach((value, key) => {
+    if (HOP_BY_HOP_HEADERS.includes(key)) {
+      return;
+    }
+    // Streamed bodies are re-chunked, so the upstream length no longer applies
+    if (streaming && key === 'content-length') {
+      return;
+    }
+    res.set(key, value);
+  });
+
+  res.status(response.status);
+  res.set({
+    'X-User-ID': req.user.id,
+    'X-Request-ID': req.id || 'unknown'
+  });
+}
+
+/**
+ * Pipe an upstream SSE or chunked JSON-array stream to the client chunk by chunk
+ */
+function streamResponse(response, req, res, abortController, requestInfo, apiKey) {
+  const userId = req.user.id;
+  const startTime = Date.now();
+
+  // The tap always reports, so it now owns releasing the budget and credit holds
+  if (req.budgetReservation) {
+    req.budgetReservation.settling = true;
+  }
+  if (req.creditHold) {
+    req.creditHold.settling = true;
+  }
+
+  const usageTap = createUsageTap({
+    promptTokenEstimate: estimateTextTokens(collectText(req.body?.contents)),
+    onComplete: ({ usage, completed }) => {
+      if (!completed) {
+        logger.warn('Metering partially delivered stream', {
+          userId,
+          requestId: req.id,
+          usage
+        });
+      }
+
+      keyPool.recordTokens(apiKey, usage.totalTokenCount);
+      usageMeter.record({
+        userId,
+        model: requestInfo.model,
+        requestType: requestInfo.requestType,
+        usage,
+        reservation: req.budgetReservation,
+        creditHold: req.creditHold,
+        metadata: req.requestMetadata
+      }).catch(error => {
+        logger.error('Async stream usage recording failed', { error: error.message });
+      });
+    }
+  });
+
+  forwardResponseHead(response, res, req, { streaming: true });
+  res.set({
+    'Cache-Control': 'no-cache',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Masked values are restored per parsed event, so a placeholder split
+  // across events still comes back whole
+  const restorer = piiFilter.streamRestorer(req.piiRedaction);
+  const restoreStream = restorer ? [createRestoreStream(restorer)] : [];
+
+  // pipeline handles backpressure in both directions and tears down
+  // the upstream body if the client goes away
+  pipeline(response.body, usageTap, ...restoreStream, res, (error) => {
+    if (error) {
+      abortController.abort();
+      logger.warn('Streaming proxy ended early', {
+        userId,
+        requestId: req.id,
+        error: error.message,
+        duration: Date.now() - startTime
+      });
+      return;
+    }
+
+    logger.info('Streaming proxy completed', {
+      userId,
+      requestId: req.id,
+      duration: Date.now() - startTime
+    });
+  });
+}
+
+/**
+ * Forward the request to Google exactly as received
+ */
+async function proxyToGoogle(req, res) {
+  const userId = req.user.id;
+  // Forward the normalized path the checks were run against
+  const requestInfo = req.gemini;
+  const path = requestInfo.path;
+  const streaming = requestInfo.action === 'streamGenerateContent';
+  const abortController = new AbortController();
+
+  // Stop the upstream call if the client disconnects before we finish
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      abortController.abort();
+    }
+  });
   
   try {
     
@@ -24,35 +181,36 @@ router.use('*', authenticateUser, globalRateLimit, async (req, res) => {
       originalPath: req.path,
       extractedPath: path,
       query: req.query,
-      headers: req.headers,
-      googlePath: path,
-      fullGoogleUrl: googleUrl,
-      googleUrlHidden: googleUrl.replace(config.gemini.apiKey, 'HIDDEN'),
-      hasApiKey: !!config.gemini.apiKey,
-      apiKeyLength: config.gemini.apiKey ? config.gemini.apiKey.length : 0
+      headers: redactHeaders(req.headers),
+      googlePath: path
     });
 
     // Forward ALL headers except host and authorization
     const forwardHeaders = { ...req.headers };
     delete forwardHeaders.host;
     delete forwardHeaders.authorization;
+    // The body is re-serialized, so let fetch compute its length
+    delete forwardHeaders['content-length'];
     
     // Forward request to Google exactly as received
     logger.info('Making fetch request', {
-      url: googleUrl.replace(config.gemini.apiKey, 'HIDDEN'),
+      path,
       method: req.method,
-      headers: { ...forwardHeaders, 'User-Agent': 'curl/8.7.1' },
+      headers: { ...redactHeaders(forwardHeaders), 'User-Agent': 'curl/8.7.1' },
       hasBody: req.method !== 'GET' && req.method !== 'HEAD'
     });
     
-    const response = await fetch(googleUrl, {
+    // Model calls are safe to retry before any response reaches the client
+    const { response, apiKey } = await upstreamClient.request({
+      path,
       method: req.method,
-      headers: {
-        ...forwardHeaders,
-        'User-Agent': 'curl/8.7.1'
-      },
+      headers: forwardHeaders,
       body: req.method !== 'GET' && req.method !== 'HEAD' ? JSON.stringify(req.body) : undefined,
-      timeout: 30000
+      model: requestInfo.model,
+      signal: abortController.signal,
+      timeout: streaming ? 120000 : 30000,
+      idempotent: req.method === 'GET' || requestInfo.billable,
+      userAgent: 'curl/8.7.1'
     });
     
     logger.info('Fetch response received', {
@@ -69,6 +227,10 @@ router.use('*', authenticateUser, globalRateLimit, async (req, res) => {
       contentLength: response.headers.get('content-length')
     });
 
+    if (streaming && response.ok) {
+      return streamResponse(response, req, res, abortController, requestInfo, apiKey);
+    }
+
     const contentType = response.headers.get('content-type');
     let data;
     
@@ -110,18 +272,28 @@ router.use('*', authenticateUser, globalRateLimit, async (req, res) => {
       });
     }
     
+    if (response.ok && requestInfo.billable) {
+      const usage = usageMeter.extractUsage(requestInfo.action, data, req.body);
+      keyPool.recordTokens(apiKey, usage.totalTokenCount);
+      usageMeter.record({
+        userId,
+        model: requestInfo.model,
+        requestType: requestInfo.requestType,
+        usage,
+        reservation: req.budgetReservation,
+        creditHold: req.creditHold,
+        metadata: req.requestMetadata
+      }).catch(error => {
+        logger.error('Async proxy usage recording failed', { error: error.message });
+      });
+    }
+
+    if (response.ok && req.responseCacheKey && contentType?.includes('application/json')) {
+      responseCache.set(req.responseCacheKey, { data });
+    }
+
     // Forward response headers and status exactly
-    response.headers.forEach((value, key) => {
-      if (key !== 'content-encoding' && key !== 'transfer-encoding') {
-        res.set(key, value);
-      }
-    });
-    
-    res.status(response.status);
-    res.set({
-      'X-User-ID': userId,
-      'X-Request-ID': req.id || 'unknown'
-    });
+    forwardResponseHead(response, res, req);
     
     if (contentType?.includes('application/json')) {
       res.json(data);
@@ -130,13 +302,33 @@ router.use('*', authenticateUser, globalRateLimit, async (req, res) => {
     }
 
   } catch (error) {
+    if (error.name === 'UpstreamUnavailableError') {
+      logger.warn('Upstream unavailable', {
+        userId,
+        requestId: req.id,
+        code: error.code,
+        model: error.model
+      });
+
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(503).json(error.toResponse());
+    }
+
+    if (error.name === 'AbortError' && res.destroyed) {
+      logger.info('Client disconnected before upstream responded', {
+        userId,
+        requestId: req.id,
+        originalUrl: req.originalUrl
+      });
+      return;
+    }
+
     logger.error('Proxy error', {
       userId: req.user?.id,
       error: error.message,
       errorStack: error.stack,
       originalUrl: req.originalUrl,
       googlePath: path,
-      fullGoogleUrl: googleUrl,
       errorType: error.constructor.name,
       errorCode: error.code
     });
@@ -150,6 +342,19 @@ router.use('*', authenticateUser, globalRateLimit, async (req, res) => {
       }
     });
   }
-});
+}
+
+// Completely transparent proxy - forwards everything exactly as-is to Google
+router.use(
+  '*',
+  authenticateUser,
+  globalRateLimit,
+  describeGeminiRequest,
+  ...requestChecks,
+  ...rateLimitChecks,
+  serveCachedResponse,
+  ...limitChecks,
+  proxyToGoogle
+);
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,305 @@
+const express = require('express');
+const { Transform } = require('stream');
+const { authenticateUser } = require('../middleware/auth');
+const { billablePipeline } = require('../middleware/pipeline');
+const { mapErrorResponses } = require('../middleware/errorEnvelope');
+const geminiService = require('../services/gemini');
+const piiFilter = require('../services/piiFilter');
+const logger = require('../utils/logger');
+const { parseGeminiPath } = require('../utils/geminiRequest');
+const { GeminiStreamParser } = require('../utils/streamUsageTap');
+const { relayStream } = require('../utils/streamRelay');
+const {
+  TranslationError,
+  toGeminiRequest,
+  toChatCompletion,
+  ChatCompletionStream,
+  toGeminiEmbeddingRequest,
+  toEmbeddingList,
+  toOpenAIError
+} = require('../utils/openaiTranslator');
+
+const router = express.Router();
+
+/**
+ * Translate an OpenAI chat-completions body into a Gemini request so the
+ * shared policy and limit middleware see the same shape as the native route
+ */
+function translateChatRequest(req, res, next) {
+  let translated;
+  try {
+    translated = toGeminiRequest(req.body);
+  } catch (error) {
+    if (error instanceof TranslationError) {
+      return res.status(400).json(toOpenAIError(400, error.message, { param: error.param }));
+    }
+    return next(error);
+  }
+
+  const action = translated.stream ? 'streamGenerateContent' : 'generateContent';
+
+  req.openai = {
+    model: req.body.model,
+    stream: translated.stream,
+    includeUsage: translated.includeUsage
+  };
+  req.body = translated.body;
+  req.gemini = parseGeminiPath(`/v1beta/models/${encodeURIComponent(translated.model)}:${action}`);
+  next();
+}
+
+/**
+ * Translate an OpenAI embeddings body into a Gemini batchEmbedContents request
+ */
+function translateEmbeddingRequest(req, res, next) {
+  let translated;
+  try {
+    translated = toGeminiEmbeddingRequest(req.body);
+  } catch (error) {
+    if (error instanceof TranslationError) {
+      return res.status(400).json(toOpenAIError(400, error.message, { param: error.param }));
+    }
+    return next(error);
+  }
+
+  req.openai = {
+    model: req.body.model,
+    encodingFormat: translated.encodingFormat
+  };
+  req.body = translated.body;
+  req.gemini = parseGeminiPath(`/v1beta/models/${encodeURIComponent(translated.model)}:batchEmbedContents`);
+  next();
+}
+
+/**
+ * Transform a raw Gemini stream body into OpenAI `chat.completion.chunk`
+ * SSE events, restoring masked values with `restorer` when given
+ */
+function createChunkStream(model, options, restorer = null) {
+  const translator = new ChatCompletionStream(model, options);
+  let output = [];
+  const parser = new GeminiStreamParser((message) => {
+    output.push(...translator.push(restorer ? restorer.restore(message) : message));
+  });
+
+  const drain = (stream) => {
+    for (const chunk of output) {
+      stream.push(`data: ${JSON.stringify(chunk)}\n\n`);
+    }
+    output = [];
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      parser.write(chunk);
+      drain(this);
+      callback();
+    },
+    flush(callback) {
+      parser.end();
+      const rest = restorer?.end();
+      if (rest) {
+        output.push(...translator.push(rest));
+      }
+      output.push(...translator.finish());
+      drain(this);
+      this.push('data: [DONE]\n\n');
+      callback();
+    }
+  });
+}
+
+function sendServiceError(res, error) {
+  const status = error.status || 500;
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  res.status(status).json(toOpenAIError(status, error.message || 'Gemini API error', {
+    code: error.code || null
+  }));
+}
+
+async function streamChatCompletion(req, res, signal) {
+  const userId = req.user.id;
+  const { model, includeUsage } = req.openai;
+  const startTime = Date.now();
+
+  const { stream } = await geminiService.streamGenerateContent(
+    req.gemini.model,
+    req.body,
+    userId,
+    req.gemini.requestType,
+    {
+      creditHold: req.creditHold,
+      metadata: req.requestMetadata,
+      reservation: req.budgetReservation,
+      signal
+    }
+  );
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'X-Accel-Buffering': 'no',
+    'X-User-ID': userId,
+    'X-Request-ID': req.id || 'unknown'
+  });
+  res.flushHeaders();
+
+  relayStream(stream, createChunkStream(model, { includeUsage }, piiFilter.streamRestorer(req.piiRedaction)), res, {
+    errorEvent: error => `data: ${JSON.stringify(toOpenAIError(502, `Gemini stream failed: ${error.message}`))}\n\n`,
+    callback: (error) => {
+      if (error) {
+        logger.warn('Chat completion stream ended early', {
+          userId,
+          requestId: req.id,
+          error: error.message,
+          duration: Date.now() - startTime
+        });
+        return;
+      }
+
+      logger.info('Chat completion stream completed', {
+        userId,
+        requestId: req.id,
+        duration: Date.now() - startTime
+      });
+    }
+  });
+}
+
+async function createChatCompletion(req, res) {
+  const userId = req.user.id;
+
+  // Cancel the Gemini call if the client disconnects before we finish
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      abortController.abort();
+    }
+  });
+
+  try {
+    if (req.openai.stream) {
+      return await streamChatCompletion(req, res, abortController.signal);
+    }
+
+    const result = await geminiService.generateContent(
+      req.gemini.model,
+      req.body,
+      userId,
+      req.gemini.requestType,
+      {
+        creditHold: req.creditHold,
+        metadata: req.requestMetadata,
+        reservation: req.budgetReservation,
+        signal: abortController.signal
+      }
+    );
+
+    res.set({
+      'X-User-ID': userId,
+      'X-Request-ID': req.id || 'unknown'
+    });
+    res.json(toChatCompletion(result.data, req.openai.model));
+
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      logger.info('Client disconnected before the chat completion finished', {
+        userId,
+        requestId: req.id
+      });
+      return;
+    }
+
+    logger.error('Chat completion failed', {
+      userId,
+      requestId: req.id,
+      model: req.gemini.model,
+      error: error.message,
+      status: error.status
+    });
+
+    if (res.headersSent) {
+      return res.end();
+    }
+    sendServiceError(res, error);
+  }
+}
+
+async function createEmbeddings(req, res) {
+  const userId = req.user.id;
+
+  // Cancel the Gemini call if the client disconnects before we finish
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      abortController.abort();
+    }
+  });
+
+  try {
+    const result = await geminiService.batchEmbedContents(
+      req.gemini.model,
+      req.body.requests,
+      userId,
+      {
+        creditHold: req.creditHold,
+        metadata: req.requestMetadata,
+        reservation: req.budgetReservation,
+        signal: abortController.signal
+      }
+    );
+
+    res.set({
+      'X-User-ID': userId,
+      'X-Request-ID': req.id || 'unknown'
+    });
+    res.json(toEmbeddingList(result.data, req.openai.model, req.openai.encodingFormat));
+
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      logger.info('Client disconnected before the embeddings finished', {
+        userId,
+        requestId: req.id
+      });
+      return;
+    }
+
+    logger.error('Embeddings request failed', {
+      userId,
+      requestId: req.id,
+      model: req.gemini.model,
+      error: error.message,
+      status: error.status
+    });
+    sendServiceError(res, error);
+  }
+}
+
+// Auth, validation, policy and limit rejections in the OpenAI error format
+const openAIErrors = mapErrorResponses((status, body) => toOpenAIError(status, body.message || body.error, {
+  code: body.code || null
+}));
+
+// OpenAI-compatible chat completions backed by Gemini generateContent
+router.post(
+  '/chat/completions',
+  openAIErrors,
+  authenticateUser,
+  translateChatRequest,
+  ...billablePipeline,
+  createChatCompletion
+);
+
+// OpenAI-compatible embeddings backed by Gemini batchEmbedContents
+router.post(
+  '/embeddings',
+  openAIErrors,
+  authenticateUser,
+  translateEmbeddingRequest,
+  ...billablePipeline,
+  createEmbeddings
+);
+
+module.exports = router;
@@ -0,0 +1,169 @@
+const express = require('express');
+const Joi = require('joi');
+const { authenticateUser, getUserTier } = require('../middleware/auth');
+const { peekTierRateLimit } = require('../middleware/requestPolicy');
+const supabaseService = require('../services/supabase');
+const creditWallet = require('../services/creditWallet');
+const logger = require('../utils/logger');
+const { validate } = require('../utils/validation');
+const { roundCost, parseHistoryQuery, buildUsageHistory } = require('../utils/usageHistory');
+
+const router = express.Router();
+
+const creditsQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+router.use(authenticateUser);
+
+/**
+ * Used and remaining amount of one limit; a missing limit means unlimited
+ */
+function allowance(used, limit, resetTime, round = value => value) {
+  return {
+    used: round(used),
+    limit: limit ?? null,
+    remaining: limit == null ? null : round(Math.max(limit - used, 0)),
+    reset_time: resetTime
+  };
+}
+
+// Usage summary and remaining allowance for the authenticated user
+router.get('/me', async (req, res) => {
+  const userId = req.user.id;
+  const tier = getUserTier(req);
+
+  try {
+    const [summary, usage, limits, rateLimit] = await Promise.all([
+      supabaseService.getUserUsageSummary(userId),
+      supabaseService.checkUserLimits(userId),
+      supabaseService.getUserLimits(userId),
+      peekTierRateLimit(userId, tier)
+    ]);
+
+    const maxCostPerDay = limits.max_cost_per_day != null ? parseFloat(limits.max_cost_per_day) : null;
+    const maxCostPerMonth = limits.max_cost_per_month != null ? parseFloat(limits.max_cost_per_month) : null;
+
+    res.json({
+      user_id: userId,
+      tier,
+      timezone: usage.timezone,
+      summary: {
+        total_tokens: Number(summary.total_tokens) || 0,
+        total_cost: roundCost(summary.total_cost),
+        requests_today: Number(summary.requests_today) || 0,
+        tokens_today: Number(summary.tokens_today) || 0,
+        cost_today: roundCost(summary.cost_today),
+        last_request: summary.last_request
+      },
+      allowance: {
+        requests_this_hour: allowance(
+          Number(usage.requests_this_hour) || 0,
+          limits.requests_per_hour,
+          usage.hour_resets_at
+        ),
+        tokens_today: allowance(Number(usage.tokens_today) || 0, limits.tokens_per_day, usage.day_resets_at),
+        cost_today: allowance(parseFloat(usage.cost_today) || 0, maxCostPerDay, usage.day_resets_at, roundCost),
+        tokens_this_month: allowance(
+          Number(usage.tokens_this_month) || 0,
+          limits.tokens_per_month,
+          usage.month_resets_at
+        ),
+        cost_this_month: allowance(
+          parseFloat(usage.cost_this_month) || 0,
+          maxCostPerMonth,
+          usage.month_resets_at,
+          roundCost
+        )
+      },
+      rate_limit: {
+        limit: rateLimit.limit,
+        remaining: rateLimit.remaining,
+        reset_time: rateLimit.resetTime ? rateLimit.resetTime.toISOString() : null
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error getting usage summary', {
+      userId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'USAGE_UNAVAILABLE',
+      message: 'Failed to load usage summary'
+    });
+  }
+});
+
+// Usage history for the authenticated user, grouped by day, model and request type
+router.get('/me/history', async (req, res, next) => {
+  const userId = req.user.id;
+
+  let query;
+  try {
+    query = parseHistoryQuery(req.query);
+  } catch (error) {
+    return next(error);
+  }
+
+  try {
+    const [history, records] = await Promise.all([
+      supabaseService.getUsageHistory(userId, query),
+      supabaseService.getUsageRecords(userId, query)
+    ]);
+
+    res.json({
+      user_id: userId,
+      ...buildUsageHistory(history, records, query)
+    });
+  } catch (error) {
+    logger.error('Error getting usage history', {
+      userId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'USAGE_UNAVAILABLE',
+      message: 'Failed to load usage history'
+    });
+  }
+});
+
+// Prepaid credit balance and ledger for the authenticated user
+router.get('/me/credits', async (req, res, next) => {
+  const userId = req.user.id;
+
+  let query;
+  try {
+    query = validate(creditsQuerySchema, req.query);
+  } catch (error) {
+    return next(error);
+  }
+
+  try {
+    const statement = await creditWallet.getStatement(userId, query);
+
+    res.json({
+      user_id: userId,
+      ...statement,
+      entries: statement.entries.map(({ created_by, ...entry }) => entry)
+    });
+  } catch (error) {
+    logger.error('Error getting credit statement', {
+      userId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'USAGE_UNAVAILABLE',
+      message: 'Failed to load credit balance'
+    });
+  }
+});
+
+module.exports = router;
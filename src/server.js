@@ -12,6 +12,10 @@ const { globalRateLimit, speedLimiter } = require('./middleware/rateLimiter');
 
 // Import routes
 const geminiRoutes = require('./routes/gemini');
+const adminRoutes = require('./routes/admin');
+const usageRoutes = require('./routes/usage');
+const openaiRoutes = require('./routes/openai');
+const anthropicRoutes = require('./routes/anthropic');
 const GrpcProxy = require('./grpc-proxy');
 
 const app = express();
@@ -48,8 +52,16 @@ app.use(helmet({
 // CORS configuration
 app.use(cors(config.cors));
 
-// Compression middleware
-app.use(compression());
+// Compression middleware (skipped for streams, which gzip would buffer)
+app.use(compression({
+  filter: (req, res) => {
+    const contentType = res.getHeader('Content-Type') || '';
+    if (String(contentType).includes('text/event-stream') || req.originalUrl.includes(':streamGenerateContent')) {
+      return false;
+    }
+    return compression.filter(req, res);
+  }
+}));
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
@@ -443,6 +455,10 @@ curl "https://gemini-proxy-193126246557.us-central1.run.app/api/gemini/v1beta/mo
 
 // Routes
 app.use('/api/gemini', geminiRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/v1', openaiRoutes);
+app.use('/v1', anthropicRoutes);
 
 // 404 handler
 app.use('*', notFoundHandler);
@@ -493,8 +509,7 @@ const server = app.listen(config.port, () => {
 });
 
 // Start gRPC server
-const grpcPort = process.env.GRPC_PORT || 9090;
-grpcProxy.start(grpcPort);
+grpcProxy.start(config.grpc.port);
 
 // Graceful shutdown for both servers
 const shutdown = async () => {
@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const supabaseService = require('./supabase');
+const { localDate } = require('../utils/timezone');
+
+const EVENT_TYPE = 'budget.threshold_reached';
+
+// Receiver statuses worth another attempt
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Sends signed webhooks when a user's usage today crosses a configured
+ * percentage of their daily token or cost limit. Each threshold fires at
+ * most once per user, metric and day in the user's quota timezone: a unique
+ * row in `budget_notifications` is claimed before anything is sent.
+ */
+class BudgetAlerts {
+  constructor(options) {
+    this.options = options;
+    // Thresholds already claimed, to skip the insert on every request.
+    // Keys include the user's period; the set is emptied every UTC day.
+    this.claimed = new Set();
+    this.claimedDay = null;
+  }
+
+  isEnabled() {
+    return Boolean(this.options.webhookUrl) && this.options.thresholds.length > 0;
+  }
+
+  /**
+   * The user's current quota day (local date) and when it ends, from a
+   * `checkUserLimits` result
+   */
+  currentPeriod(usage) {
+    const timezone = usage.timezone || config.quotas.defaultTimezone;
+    return {
+      period: localDate(usage.day_started_at || new Date(), timezone),
+      periodEnd: usage.day_resets_at ? new Date(usage.day_resets_at).toISOString() : null,
+      timezone
+    };
+  }
+
+  backoffDelay(attempt) {
+    const ceiling = Math.min(this.options.baseDelayMs * 2 ** (attempt - 1), this.options.maxDelayMs);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  /**
+   * Headers for a webhook body: HMAC-SHA256 of `${timestamp}.${body}`
+   */
+  signedHeaders(deliveryId, body) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = crypto
+      .createHmac('sha256', this.options.webhookSecret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+
+    return {
+      'Content-Type': 'application/json',
+      'User-Agent': 'gemini-proxy-webhooks',
+      'X-Proxy-Event': EVENT_TYPE,
+      'X-Proxy-Delivery': deliveryId,
+      'X-Proxy-Signature': `t=${timestamp},v1=${signature}`
+    };
+  }
+
+  buildEvent(notification, { periodEnd, timezone }) {
+    return {
+      id: notification.id,
+      type: EVENT_TYPE,
+      created_at: notification.created_at || new Date().toISOString(),
+      data: {
+        user_id: notification.user_id,
+        metric: notification.metric,
+        threshold: notification.threshold,
+        used: notification.used,
+        limit: notification.limit,
+        percent: parseFloat((notification.used / notification.limit * 100).toFixed(2)),
+        period: notification.period,
+        period_end: periodEnd,
+        timezone
+      }
+    };
+  }
+
+  /**
+   * Compare the user's usage today with their daily limits and notify the
+   * highest newly crossed threshold per metric. Never throws.
+   */
+  async checkThresholds(userId) {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    if (today !== this.claimedDay) {
+      this.claimed.clear();
+      this.claimedDay = today;
+    }
+
+    try {
+      const [usage, limits] = await Promise.all([
+        supabaseService.checkUserLimits(userId),
+        supabaseService.getUserLimits(userId)
+      ]);
+      const period = this.currentPeriod(usage);
+
+      const budgets = [
+        { metric: 'tokens', used: Number(usage.tokens_today) || 0, limit: Number(limits.tokens_per_day) || 0 },
+        { metric: 'cost', used: parseFloat(usage.cost_today) || 0, limit: parseFloat(limits.max_cost_per_day) || 0 }
+      ];
+
+      for (const budget of budgets) {
+        if (budget.limit > 0) {
+          await this.notifyCrossed(userId, period, budget);
+        }
+      }
+    } catch (error) {
+      logger.error('Error checking budget thresholds', {
+        userId,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
+  async notifyCrossed(userId, { period, periodEnd, timezone }, { metric, used, limit }) {
+    const percent = used / limit * 100;
+    const claimed = [];
+
+    for (const threshold of this.options.thresholds) {
+      const key = `${userId}:${period}:${metric}:${threshold}`;
+      if (percent < threshold || this.claimed.has(key)) {
+        continue;
+      }
+
+      const notification = await supabaseService.claimBudgetNotification({
+        id: uuidv4(),
+        user_id: userId,
+        metric,
+        threshold,
+        period,
+        used: metric === 'cost' ? parseFloat(used.toFixed(6)) : used,
+        limit
+      });
+      this.claimed.add(key);
+
+      if (notification) {
+        claimed.push(notification);
+      }
+    }
+
+    if (claimed.length === 0) {
+      return;
+    }
+
+    // Crossing several thresholds at once only sends the highest
+    const latest = claimed.pop();
+    for (const notification of claimed) {
+      supabaseService.updateBudgetNotification(notification.id, { status: 'superseded' }).catch(() => {});
+    }
+
+    this.deliver(latest, { periodEnd, timezone }).catch(error => {
+      logger.error('Budget webhook delivery crashed', { id: latest.id, error: error.message });
+    });
+  }
+
+  /**
+   * POST the notification to the webhook, retrying with backoff, and record
+   * the outcome on the notification row
+   */
+  async deliver(notification, { periodEnd, timezone }) {
+    const body = JSON.stringify(this.buildEvent(notification, { periodEnd, timezone }));
+    let attempts = 0;
+    let lastError = null;
+
+    while (attempts < this.options.maxAttempts) {
+      attempts++;
+
+      try {
+        const response = await fetch(this.options.webhookUrl, {
+          method: 'POST',
+          headers: this.signedHeaders(notification.id, body),
+          body,
+          timeout: this.options.timeoutMs
+        });
+        // Drain the body so the socket can be reused
+        await response.text().catch(() => {});
+
+        if (response.ok) {
+          logger.info('Budget webhook delivered', {
+            id: notification.id,
+            userId: notification.user_id,
+            metric: notification.metric,
+            threshold: notification.threshold,
+            attempts
+          });
+
+          await supabaseService.updateBudgetNotification(notification.id, {
+            status: 'delivered',
+            attempts,
+            delivered_at: new Date().toISOString(),
+            last_error: null
+          }).catch(() => {});
+          return true;
+        }
+
+        lastError = `HTTP ${response.status}`;
+        if (!RETRYABLE_STATUSES.includes(response.status)) {
+          break;
+        }
+      } catch (error) {
+        lastError = error.message;
+      }
+
+      if (attempts < this.options.maxAttempts) {
+        await sleep(this.backoffDelay(attempts));
+      }
+    }
+
+    logger.warn('Budget webhook delivery failed', {
+      id: notification.id,
+      userId: notification.user_id,
+      attempts,
+      error: lastError
+    });
+
+    await supabaseService.updateBudgetNotification(notification.id, {
+      status: 'failed',
+      attempts,
+      last_error: lastError
+    }).catch(() => {});
+    return false;
+  }
+}
+
+module.exports = new BudgetAlerts(config.budgetAlerts);
@@ -0,0 +1,118 @@
+const { v4: uuidv4 } = require('uuid');
+const redis = require('./redis');
+const logger = require('../utils/logger');
+
+// Reservations outlive the longest upstream call (2 min streams) with margin,
+// so counters held by a crashed instance drain on their own
+const RESERVATION_TTL_SECONDS = 5 * 60;
+
+/**
+ * Tracks tokens and cost that in-flight requests are expected to spend,
+ * so concurrent requests cannot all pass the daily limit check together.
+ */
+class BudgetReservations {
+  constructor() {
+    this.memory = new Map();
+  }
+
+  tokensKey(userId) {
+    return `reservation:tokens:${userId}`;
+  }
+
+  costKey(userId) {
+    return `reservation:cost:${userId}`;
+  }
+
+  /**
+   * Add an estimate to the user's outstanding reservations and return
+   * the reservation together with the new outstanding totals
+   */
+  async reserve(userId, { tokens, cost }) {
+    const reservation = {
+      id: uuidv4(),
+      userId,
+      tokens,
+      cost,
+      released: false,
+      settling: false
+    };
+
+    const totals = await this.adjust(userId, tokens, cost);
+
+    logger.debug('Budget reserved', {
+      userId,
+      reservationId: reservation.id,
+      tokens,
+      cost,
+      outstanding: totals
+    });
+
+    return { reservation, totals };
+  }
+
+  /**
+   * Return a reservation's estimate to the budget. Safe to call twice.
+   */
+  async release(reservation) {
+    if (!reservation || reservation.released) {
+      return;
+    }
+    reservation.released = true;
+
+    await this.adjust(reservation.userId, -reservation.tokens, -reservation.cost);
+
+    logger.debug('Budget reservation released', {
+      userId: reservation.userId,
+      reservationId: reservation.id
+    });
+  }
+
+  /**
+   * Atomically apply a delta to the outstanding counters, in Redis when
+   * available and in process memory otherwise
+   */
+  async adjust(userId, tokens, cost) {
+    if (redis.isRedisConnected()) {
+      const [reservedTokens, reservedCost] = await Promise.all([
+        redis.incrBy(this.tokensKey(userId), tokens),
+        redis.incrByFloat(this.costKey(userId), cost)
+      ]);
+
+      if (reservedTokens !== null && reservedCost !== null) {
+        await Promise.all([
+          redis.expire(this.tokensKey(userId), RESERVATION_TTL_SECONDS),
+          redis.expire(this.costKey(userId), RESERVATION_TTL_SECONDS)
+        ]);
+        return {
+          tokens: Math.max(reservedTokens, 0),
+          cost: Math.max(reservedCost, 0)
+        };
+      }
+    }
+
+    return this.adjustMemory(userId, tokens, cost);
+  }
+
+  adjustMemory(userId, tokens, cost) {
+    const now = Date.now();
+    let entry = this.memory.get(userId);
+
+    if (!entry || entry.expiresAt <= now) {
+      entry = { tokens: 0, cost: 0 };
+    }
+
+    entry.tokens = Math.max(entry.tokens + tokens, 0);
+    entry.cost = Math.max(entry.cost + cost, 0);
+    entry.expiresAt = now + RESERVATION_TTL_SECONDS * 1000;
+
+    if (entry.tokens === 0 && entry.cost === 0) {
+      this.memory.delete(userId);
+    } else {
+      this.memory.set(userId, entry);
+    }
+
+    return { tokens: entry.tokens, cost: entry.cost };
+  }
+}
+
+module.exports = new BudgetReservations();
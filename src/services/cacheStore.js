@@ -0,0 +1,68 @@
+const redis = require('./redis');
+const logger = require('../utils/logger');
+
+// Upper bound on entries kept in process memory when Redis is unavailable
+const MAX_MEMORY_ENTRIES = 10000;
+
+/**
+ * Small JSON cache with TTLs, stored in Redis when connected and in
+ * process memory otherwise
+ */
+class CacheStore {
+  constructor() {
+    this.memory = new Map();
+  }
+
+  async get(key) {
+    if (redis.isRedisConnected()) {
+      const raw = await redis.get(key);
+      if (raw !== null) {
+        try {
+          return JSON.parse(raw);
+        } catch (error) {
+          logger.warn('Discarding unparseable cache entry', { key, error: error.message });
+          await redis.del(key);
+          return null;
+        }
+      }
+      return null;
+    }
+
+    const entry = this.memory.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.memory.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    if (redis.isRedisConnected()) {
+      const stored = await redis.set(key, JSON.stringify(value), ttlSeconds);
+      if (stored) {
+        return;
+      }
+    }
+
+    if (this.memory.size >= MAX_MEMORY_ENTRIES) {
+      // Maps iterate in insertion order, so this evicts the oldest entry
+      this.memory.delete(this.memory.keys().next().value);
+    }
+    this.memory.set(key, {
+      value,
+      expiresAt: Date.now() + ttlSeconds * 1000
+    });
+  }
+
+  async del(key) {
+    this.memory.delete(key);
+    if (redis.isRedisConnected()) {
+      await redis.del(key);
+    }
+  }
+}
+
+module.exports = new CacheStore();
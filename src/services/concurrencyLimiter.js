@@ -0,0 +1,160 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const redis = require('./redis');
+const logger = require('../utils/logger');
+
+// Slots outlive the longest upstream call (2 min streams) with margin, so
+// slots held by a crashed instance drain on their own
+const SLOT_TTL_MS = 5 * 60 * 1000;
+
+const QUEUE_POLL_MS = 100;
+
+// Drop expired slots, then take a slot in every key if each one has room.
+// Returns 0 on success, or the 1-based index of the first full key.
+// ARGV: now, slot expiry, slot id, key TTL, then one limit per key.
+const ACQUIRE_SCRIPT = `
+for i, key in ipairs(KEYS) do
+  redis.call('ZREMRANGEBYSCORE', key, '-inf', ARGV[1])
+  if redis.call('ZCARD', key) >= tonumber(ARGV[4 + i]) then
+    return i
+  end
+end
+for i, key in ipairs(KEYS) do
+  redis.call('ZADD', key, ARGV[2], ARGV[3])
+  redis.call('PEXPIRE', key, ARGV[4])
+end
+return 0
+`;
+
+const RELEASE_SCRIPT = `
+for i, key in ipairs(KEYS) do
+  redis.call('ZREM', key, ARGV[1])
+end
+return 0
+`;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Caps how many model calls, and of those how many streams, each user has
+ * in flight. Slots are members of a Redis sorted set per user and kind,
+ * scored by expiry, so every instance sees the same count; while Redis is
+ * down each instance counts its own calls.
+ */
+class ConcurrencyLimiter {
+  constructor(options) {
+    this.options = options;
+    this.memory = new Map();
+  }
+
+  key(kind, userId) {
+    return `concurrency:${kind}:${userId}`;
+  }
+
+  getTierLimits(tier) {
+    return this.options.tiers[tier] || this.options.tiers.free;
+  }
+
+  /**
+   * Take a request slot, plus a stream slot for streams. Waits up to
+   * queueTimeoutMs for room, or until `signal` aborts. Resolves with
+   * `{ slot }`, or `{ slot: null, kind, limit }` naming the full limit.
+   */
+  async acquire(userId, { tier, stream = false, signal } = {}) {
+    const tierLimits = this.getTierLimits(tier);
+    const kinds = stream ? ['requests', 'streams'] : ['requests'];
+    const limits = kinds.map(kind => tierLimits[kind]);
+    const slot = {
+      id: uuidv4(),
+      userId,
+      keys: kinds.map(kind => this.key(kind, userId)),
+      inMemory: false,
+      released: false
+    };
+    const deadline = Date.now() + this.options.queueTimeoutMs;
+
+    for (;;) {
+      const full = await this.tryAcquire(slot, limits);
+      if (full === 0) {
+        logger.debug('Concurrency slot acquired', { userId, slotId: slot.id, stream });
+        return { slot };
+      }
+
+      if (Date.now() + QUEUE_POLL_MS > deadline || signal?.aborted) {
+        return { slot: null, kind: kinds[full - 1], limit: limits[full - 1] };
+      }
+      await sleep(QUEUE_POLL_MS);
+    }
+  }
+
+  /**
+   * Free a slot. Safe to call twice and never throws.
+   */
+  async release(slot) {
+    if (!slot || slot.released) {
+      return;
+    }
+    slot.released = true;
+
+    if (slot.inMemory) {
+      for (const key of slot.keys) {
+        const slots = this.memory.get(key);
+        slots?.delete(slot.id);
+        if (slots?.size === 0) {
+          this.memory.delete(key);
+        }
+      }
+      return;
+    }
+
+    // A slot that cannot be removed expires with its TTL
+    await redis.runScript(RELEASE_SCRIPT, slot.keys, [slot.id]);
+    logger.debug('Concurrency slot released', { userId: slot.userId, slotId: slot.id });
+  }
+
+  async tryAcquire(slot, limits) {
+    const now = Date.now();
+
+    if (redis.isRedisConnected()) {
+      const result = await redis.runScript(
+        ACQUIRE_SCRIPT,
+        slot.keys,
+        [now, now + SLOT_TTL_MS, slot.id, SLOT_TTL_MS, ...limits]
+      );
+      if (result !== null) {
+        slot.inMemory = false;
+        return Number(result);
+      }
+    }
+
+    slot.inMemory = true;
+    return this.tryAcquireMemory(slot, limits, now);
+  }
+
+  tryAcquireMemory(slot, limits, now) {
+    const sets = slot.keys.map(key => {
+      const slots = this.memory.get(key) || new Map();
+      for (const [id, expiresAt] of slots) {
+        if (expiresAt <= now) {
+          slots.delete(id);
+        }
+      }
+      this.memory.set(key, slots);
+      return slots;
+    });
+
+    const full = sets.findIndex((slots, index) => slots.size >= limits[index]);
+    if (full !== -1) {
+      return full + 1;
+    }
+
+    for (const slots of sets) {
+      slots.set(slot.id, now + SLOT_TTL_MS);
+    }
+    return 0;
+  }
+}
+
+module.exports = new ConcurrencyLimiter(config.concurrency);
@@ -0,0 +1,156 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const supabaseService = require('./supabase');
+const { roundCost } = require('../utils/usageHistory');
+
+/**
+ * Prepaid credit for users with a wallet. Each billable call holds its
+ * estimated cost before going upstream; the hold is then settled to the
+ * actual cost, or released if the call fails. Holds and debits are applied
+ * by database functions that lock the wallet, so parallel calls cannot
+ * spend the same credit.
+ */
+class CreditWallet {
+  constructor(options) {
+    this.options = options;
+  }
+
+  isEnabled() {
+    return this.options.enabled;
+  }
+
+  /**
+   * Hold `amount` against the user's wallet. Resolves with
+   * `{ status, hold, balance, held }`, where `hold` is only set when the
+   * status is `held`.
+   */
+  async reserve(userId, { amount, requestId }) {
+    const hold = {
+      id: uuidv4(),
+      userId,
+      amount: roundCost(amount),
+      released: false,
+      settling: false
+    };
+
+    const result = await supabaseService.reserveCredit({
+      userId,
+      holdId: hold.id,
+      amount: hold.amount,
+      requestId,
+      ttlSeconds: this.options.holdTtlSeconds
+    });
+
+    if (result.status === 'held') {
+      logger.debug('Credit held', {
+        userId,
+        holdId: hold.id,
+        amount: hold.amount,
+        balance: result.balance,
+        held: result.held
+      });
+    }
+
+    return { ...result, hold: result.status === 'held' ? hold : null };
+  }
+
+  /**
+   * Debit the actual cost of a call in place of its hold. Safe to call
+   * twice and never throws.
+   */
+  async settle(hold, cost, { model, requestType } = {}) {
+    if (!hold || hold.released) {
+      return;
+    }
+    hold.released = true;
+    hold.settling = true;
+
+    try {
+      await supabaseService.settleCredit({
+        userId: hold.userId,
+        holdId: hold.id,
+        amount: roundCost(cost),
+        description: [requestType, model].filter(Boolean).join(' ')
+      });
+    } catch (error) {
+      logger.error('Failed to settle credit hold', {
+        userId: hold.userId,
+        holdId: hold.id,
+        held: hold.amount,
+        cost,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Drop a hold for a call that was never metered. Safe to call twice and
+   * never throws; a hold that cannot be released lapses after its TTL.
+   */
+  async release(hold) {
+    if (!hold || hold.released) {
+      return;
+    }
+    hold.released = true;
+
+    try {
+      await supabaseService.releaseCredit(hold.id);
+      logger.debug('Credit hold released', { userId: hold.userId, holdId: hold.id });
+    } catch (error) {
+      logger.error('Failed to release credit hold', {
+        userId: hold.userId,
+        holdId: hold.id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Shape a credit_ledger row for API responses
+   */
+  formatEntry(entry) {
+    return {
+      id: entry.id,
+      type: entry.entry_type,
+      amount: roundCost(entry.amount),
+      balance_after: roundCost(entry.balance_after),
+      reference: entry.reference,
+      description: entry.description,
+      created_by: entry.created_by,
+      created_at: entry.created_at
+    };
+  }
+
+  /**
+   * Balance and a page of ledger entries for a user. `prepaid` is false
+   * for users without a wallet.
+   */
+  async getStatement(userId, { limit, offset }) {
+    const wallet = await supabaseService.getCreditWallet(userId);
+    const { entries, total } = wallet
+      ? await supabaseService.getCreditLedger(userId, { limit, offset })
+      : { entries: [], total: 0 };
+
+    const balance = roundCost(wallet?.balance);
+    const held = roundCost(wallet?.held);
+
+    return {
+      prepaid: Boolean(wallet),
+      currency: 'USD',
+      balance,
+      held,
+      available: roundCost(balance - held),
+      updated_at: wallet?.updated_at || null,
+      entries: entries.map(entry => this.formatEntry(entry)),
+      pagination: {
+        limit,
+        offset,
+        total,
+        has_more: offset + limit < total
+      }
+    };
+  }
+}
+
+module.exports = new CreditWallet(config.credits);
@@ -1,24 +1,103 @@
-const axios = require('axios');
+const { pipeline } = require('stream');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 const supabaseService = require('./supabase');
+const budgetAlerts = require('./budgetAlerts');
+const budgetReservations = require('./budgetReservations');
+const creditWallet = require('./creditWallet');
+const keyPool = require('./keyPool');
+const pricingService = require('./pricing');
+const upstreamClient = require('./upstream');
+const { createUsageTap } = require('../utils/streamUsageTap');
+const { estimateTextTokens, collectText, pickPricingDetails } = require('../utils/geminiRequest');
+
+// Largest number of requests Gemini accepts in one batchEmbedContents call
+const MAX_EMBED_BATCH_SIZE = 100;
 
 class GeminiService {
   constructor() {
     this.baseUrl = config.gemini.baseUrl;
-    this.apiKey = config.gemini.apiKey;
   }
 
   /**
-   * Calculate cost based on token usage and model
+   * Send a request through the shared upstream client. Resolves with an
+   * axios-style `{ data, status, headers, apiKey }` for 2xx responses and
+   * rejects with an axios-style `{ response }` error otherwise. Aborting
+   * `signal` (e.g. when the client disconnects) cancels the upstream call.
    */
-  calculateCost(inputTokens, outputTokens, modelName) {
-    const pricing = config.pricing[modelName] || config.pricing['gemini-pro'];
-    
-    const inputCost = inputTokens / pricing.inputTokensPerDollar;
-    const outputCost = outputTokens / pricing.outputTokensPerDollar;
-    
-    return inputCost + outputCost;
+  async send({ path, method = 'POST', body, model, timeout, stream = false, signal }) {
+    const { response, apiKey } = await upstreamClient.request({
+      path,
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined,
+      model,
+      timeout,
+      signal
+    });
+
+    const headers = Object.fromEntries(response.headers.entries());
+
+    if (!response.ok) {
+      const text = await response.text();
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (parseError) {
+        data = { error: { message: text.substring(0, 500) } };
+      }
+      const error = new Error(`Gemini API responded with status ${response.status}`);
+      error.response = { status: response.status, data, headers };
+      throw error;
+    }
+
+    return {
+      data: stream ? response.body : await response.json(),
+      status: response.status,
+      headers,
+      apiKey
+    };
+  }
+
+  /**
+   * Transform upstream failures into the service's consistent error format
+   */
+  toServiceError(error, apiMessage, connectionMessage, { includeDetails = true } = {}) {
+    if (error.name === 'UpstreamUnavailableError') {
+      return {
+        status: 503,
+        message: error.message,
+        code: error.code,
+        retryAfter: error.retryAfter
+      };
+    }
+
+    if (error.response) {
+      const geminiError = error.response.data;
+      const serviceError = {
+        status: error.response.status,
+        message: geminiError.error?.message || apiMessage,
+        code: geminiError.error?.code || 'UNKNOWN_ERROR'
+      };
+      if (includeDetails) {
+        serviceError.details = geminiError.error?.details || [];
+      }
+      return serviceError;
+    }
+
+    return {
+      status: 500,
+      message: connectionMessage,
+      code: 'CONNECTION_ERROR'
+    };
+  }
+
+  /**
+   * Calculate cost from token usage (see extractTokenUsage) and model.
+   * Models without pricing cost 0 and are logged by the pricing service.
+   */
+  calculateCost(tokenUsage, modelName) {
+    return pricingService.price(modelName, tokenUsage)?.cost || 0;
   }
 
   /**
@@ -29,6 +108,7 @@ class GeminiService {
       const usageMetadata = response.data?.usageMetadata;
       if (usageMetadata) {
         return {
+          ...pickPricingDetails(usageMetadata),
           promptTokenCount: usageMetadata.promptTokenCount || 0,
           candidatesTokenCount: usageMetadata.candidatesTokenCount || 0,
           totalTokenCount: usageMetadata.totalTokenCount || 0
@@ -65,17 +145,29 @@ class GeminiService {
   }
 
   /**
-   * Record usage in database
+   * Record usage in database, then settle the request's credit hold and
+   * release its budget reservation, if any
    */
-  async recordUsage(userId, tokenUsage, modelName, requestType, cost) {
+  async recordUsage(userId, tokenUsage, modelName, requestType, cost, creditHold = null, metadata = null, reservation = null) {
+    if (creditHold) {
+      creditHold.settling = true;
+    }
+    if (reservation) {
+      reservation.settling = true;
+    }
+
     try {
       await supabaseService.recordUsage(
         userId,
         tokenUsage.totalTokenCount,
         cost,
         modelName,
-        requestType
+        requestType,
+        metadata
       );
+
+      // Runs in the background so metering never waits on webhooks
+      budgetAlerts.checkThresholds(userId);
     } catch (error) {
       logger.error('Failed to record usage in database', {
         userId,
@@ -86,43 +178,43 @@ class GeminiService {
       });
       // Don't throw here as this shouldn't break the main request
     }
+
+    await creditWallet.settle(creditHold, cost, { model: modelName, requestType });
+    await budgetReservations.release(reservation);
   }
 
   /**
    * Generate content using Gemini API
    */
-  async generateContent(modelName, requestBody, userId, requestType = 'generate') {
+  async generateContent(modelName, requestBody, userId, requestType = 'generate', { creditHold = null, metadata = null, reservation = null, signal } = {}) {
     try {
-      const url = `${this.baseUrl}/v1beta/models/${modelName}:generateContent?key=${this.apiKey}`;
+      const path = `/v1beta/models/${modelName}:generateContent`;
       
       logger.info('Making Gemini API request', {
         modelName,
         userId,
         requestType,
-        url: url.replace(this.apiKey, '[REDACTED]')
+        path
       });
 
       const startTime = Date.now();
       
-      const response = await axios.post(url, requestBody, {
-        headers: {
-          'Content-Type': 'application/json',
-          'User-Agent': 'PerceptEye-Proxy/1.0'
-        },
-        timeout: 60000 // 60 seconds timeout
+      const response = await this.send({
+        path,
+        body: requestBody,
+        model: modelName,
+        timeout: 60000, // 60 seconds timeout
+        signal
       });
 
       const duration = Date.now() - startTime;
 
       // Extract token usage from response
       const tokenUsage = this.extractTokenUsage(response);
+      keyPool.recordTokens(response.apiKey, tokenUsage.totalTokenCount);
       
       // Calculate cost
-      const cost = this.calculateCost(
-        tokenUsage.promptTokenCount,
-        tokenUsage.candidatesTokenCount,
-        modelName
-      );
+      const cost = this.calculateCost(tokenUsage, modelName);
 
       logger.info('Gemini API request completed', {
         modelName,
@@ -135,7 +227,7 @@ class GeminiService {
 
       // Record usage asynchronously
       if (userId) {
-        this.recordUsage(userId, tokenUsage, modelName, requestType, cost).catch(error => {
+        this.recordUsage(userId, tokenUsage, modelName, requestType, cost, creditHold, metadata, reservation).catch(error => {
           logger.error('Async usage recording failed', { error: error.message });
         });
       }
@@ -167,45 +259,35 @@ class GeminiService {
       });
 
       // Transform Gemini errors to consistent format
-      if (error.response) {
-        const geminiError = error.response.data;
-        throw {
-          status: error.response.status,
-          message: geminiError.error?.message || 'Gemini API error',
-          code: geminiError.error?.code || 'UNKNOWN_ERROR',
-          details: geminiError.error?.details || []
-        };
-      }
-
-      throw {
-        status: 500,
-        message: 'Failed to connect to Gemini API',
-        code: 'CONNECTION_ERROR'
-      };
+      throw this.toServiceError(
+        error,
+        'Gemini API error',
+        'Failed to connect to Gemini API'
+      );
     }
   }
 
   /**
    * Stream generate content using Gemini API
    */
-  async streamGenerateContent(modelName, requestBody, userId, requestType = 'stream') {
+  async streamGenerateContent(modelName, requestBody, userId, requestType = 'stream', { creditHold = null, metadata = null, reservation = null, signal } = {}) {
     try {
-      const url = `${this.baseUrl}/v1beta/models/${modelName}:streamGenerateContent?key=${this.apiKey}`;
+      const path = `/v1beta/models/${modelName}:streamGenerateContent`;
       
       logger.info('Making Gemini streaming API request', {
         modelName,
         userId,
         requestType,
-        url: url.replace(this.apiKey, '[REDACTED]')
+        path
       });
 
-      const response = await axios.post(url, requestBody, {
-        headers: {
-          'Content-Type': 'application/json',
-          'User-Agent': 'PerceptEye-Proxy/1.0'
-        },
-        responseType: 'stream',
-        timeout: 120000 // 2 minutes timeout for streaming
+      const response = await this.send({
+        path,
+        body: requestBody,
+        model: modelName,
+        timeout: 120000, // 2 minutes timeout for streaming
+        stream: true,
+        signal
       });
 
       logger.info('Gemini streaming API request initiated', {
@@ -214,8 +296,51 @@ class GeminiService {
         status: response.status
       });
 
+      // The tap always reports, so it now owns settling the credit hold
+      // and releasing the budget reservation
+      if (creditHold) {
+        creditHold.settling = true;
+      }
+      if (reservation) {
+        reservation.settling = true;
+      }
+
+      const usageTap = createUsageTap({
+        promptTokenEstimate: estimateTextTokens(collectText(requestBody.contents)),
+        onComplete: ({ usage, completed }) => {
+          keyPool.recordTokens(response.apiKey, usage.totalTokenCount);
+          const cost = this.calculateCost(usage, modelName);
+
+          logger.info('Gemini streaming API request completed', {
+            modelName,
+            userId,
+            completed,
+            tokenUsage: usage,
+            cost
+          });
+
+          if (userId) {
+            this.recordUsage(userId, usage, modelName, requestType, cost, creditHold, metadata, reservation).catch(error => {
+              logger.error('Async stream usage recording failed', { error: error.message });
+            });
+          }
+        }
+      });
+
+      // Destroying the returned stream (e.g. on client disconnect) also
+      // tears down the upstream socket and records the partial usage
+      pipeline(response.data, usageTap, (error) => {
+        if (error) {
+          logger.warn('Gemini stream ended early', {
+            modelName,
+            userId,
+            error: error.message
+          });
+        }
+      });
+
       return {
-        stream: response.data,
+        stream: usageTap,
         status: response.status,
         headers: response.headers
       };
@@ -229,21 +354,12 @@ class GeminiService {
         data: error.response?.data
       });
 
-      if (error.response) {
-        const geminiError = error.response.data;
-        throw {
-          status: error.response.status,
-          message: geminiError.error?.message || 'Gemini streaming API error',
-          code: geminiError.error?.code || 'UNKNOWN_ERROR',
-          details: geminiError.error?.details || []
-        };
-      }
-
-      throw {
-        status: 500,
-        message: 'Failed to connect to Gemini streaming API',
-        code: 'CONNECTION_ERROR'
-      };
+      // Transform Gemini errors to consistent format
+      throw this.toServiceError(
+        error,
+        'Gemini streaming API error',
+        'Failed to connect to Gemini streaming API'
+      );
     }
   }
 
@@ -252,19 +368,18 @@ class GeminiService {
    */
   async countTokens(modelName, requestBody, userId) {
     try {
-      const url = `${this.baseUrl}/v1beta/models/${modelName}:countTokens?key=${this.apiKey}`;
+      const path = `/v1beta/models/${modelName}:countTokens`;
       
       logger.info('Making Gemini token count request', {
         modelName,
         userId,
-        url: url.replace(this.apiKey, '[REDACTED]')
+        path
       });
 
-      const response = await axios.post(url, requestBody, {
-        headers: {
-          'Content-Type': 'application/json',
-          'User-Agent': 'PerceptEye-Proxy/1.0'
-        },
+      const response = await this.send({
+        path,
+        body: requestBody,
+        model: modelName,
         timeout: 30000 // 30 seconds timeout
       });
 
@@ -288,20 +403,13 @@ class GeminiService {
         status: error.response?.status
       });
 
-      if (error.response) {
-        const geminiError = error.response.data;
-        throw {
-          status: error.response.status,
-          message: geminiError.error?.message || 'Gemini token count error',
-          code: geminiError.error?.code || 'UNKNOWN_ERROR'
-        };
-      }
-
-      throw {
-        status: 500,
-        message: 'Failed to connect to Gemini API for token counting',
-        code: 'CONNECTION_ERROR'
-      };
+      // Transform Gemini errors to consistent format
+      throw this.toServiceError(
+        error,
+        'Gemini token count error',
+        'Failed to connect to Gemini API for token counting',
+        { includeDetails: false }
+      );
     }
   }
 
@@ -311,27 +419,26 @@ class GeminiService {
   async generateEmbeddings(modelName, requestBody, userId) {
     try {
       // Different URL structure for embedding models
-      let url;
+      let path;
       if (modelName === 'gemini-embedding-001') {
-        url = `${this.baseUrl}/v1beta/models/${modelName}:embedContent?key=${this.apiKey}`;
+        path = `/v1beta/models/${modelName}:embedContent`;
       } else {
         // Legacy embedding models
-        url = `${this.baseUrl}/v1/models/${modelName}:embedText?key=${this.apiKey}`;
+        path = `/v1/models/${modelName}:embedText`;
       }
       
       logger.info('Making Gemini embedding request', {
         modelName,
         userId,
-        url: url.replace(this.apiKey, '[REDACTED]')
+        path
       });
 
       const startTime = Date.now();
       
-      const response = await axios.post(url, requestBody, {
-        headers: {
-          'Content-Type': 'application/json',
-          'User-Agent': 'PerceptEye-Proxy/1.0'
-        },
+      const response = await this.send({
+        path,
+        body: requestBody,
+        model: modelName,
         timeout: 30000 // 30 seconds timeout
       });
 
@@ -342,7 +449,7 @@ class GeminiService {
         Math.ceil(JSON.stringify(requestBody).length / 4) : // Rough estimate
         0;
       
-      const cost = this.calculateCost(inputTokens, 0, modelName);
+      const cost = this.calculateCost({ promptTokenCount: inputTokens }, modelName);
 
       logger.info('Gemini embedding request completed', {
         modelName,
@@ -386,20 +493,125 @@ class GeminiService {
         data: error.response?.data
       });
 
-      if (error.response) {
-        const geminiError = error.response.data;
-        throw {
-          status: error.response.status,
-          message: geminiError.error?.message || 'Gemini embedding API error',
-          code: geminiError.error?.code || 'UNKNOWN_ERROR'
-        };
+      // Transform Gemini errors to consistent format
+      throw this.toServiceError(
+        error,
+        'Gemini embedding API error',
+        'Failed to connect to Gemini embedding API',
+        { includeDetails: false }
+      );
+    }
+  }
+
+  /**
+   * Count the prompt tokens of embedding inputs. Embedding responses carry
+   * no usageMetadata, so ask countTokens and fall back to an estimate.
+   */
+  async countEmbeddingTokens(modelName, contents, signal) {
+    try {
+      const response = await this.send({
+        path: `/v1beta/models/${modelName}:countTokens`,
+        body: { contents },
+        model: modelName,
+        timeout: 30000,
+        signal
+      });
+      return response.data.totalTokens || 0;
+    } catch (error) {
+      logger.warn('Falling back to estimated embedding token count', {
+        modelName,
+        error: error.message
+      });
+      return estimateTextTokens(collectText(contents));
+    }
+  }
+
+  /**
+   * Embed many contents with batchEmbedContents, splitting into batches
+   * Gemini accepts and recording the combined usage once
+   */
+  async batchEmbedContents(modelName, requests, userId, { creditHold = null, metadata = null, reservation = null, signal } = {}) {
+    try {
+      const path = `/v1beta/models/${modelName}:batchEmbedContents`;
+
+      logger.info('Making Gemini batch embedding request', {
+        modelName,
+        userId,
+        count: requests.length,
+        path
+      });
+
+      const startTime = Date.now();
+      const batches = [];
+      for (let i = 0; i < requests.length; i += MAX_EMBED_BATCH_SIZE) {
+        batches.push(requests.slice(i, i + MAX_EMBED_BATCH_SIZE));
+      }
+
+      const [responses, inputTokens] = await Promise.all([
+        Promise.all(batches.map(batch => this.send({
+          path,
+          body: { requests: batch },
+          model: modelName,
+          timeout: 30000,
+          signal
+        }))),
+        this.countEmbeddingTokens(modelName, requests.map(request => request.content), signal)
+      ]);
+
+      const duration = Date.now() - startTime;
+      const embeddings = responses.flatMap(response => response.data.embeddings || []);
+      const cost = this.calculateCost({ promptTokenCount: inputTokens }, modelName);
+
+      for (const response of responses) {
+        keyPool.recordTokens(response.apiKey, Math.ceil(inputTokens / responses.length));
+      }
+
+      logger.info('Gemini batch embedding request completed', {
+        modelName,
+        userId,
+        duration,
+        batches: batches.length,
+        inputTokens,
+        cost
+      });
+
+      if (userId) {
+        this.recordUsage(userId, { totalTokenCount: inputTokens }, modelName, 'batch_embedding', cost, creditHold, metadata, reservation).catch(error => {
+          logger.error('Async batch embedding usage recording failed', { error: error.message });
+        });
       }
 
-      throw {
-        status: 500,
-        message: 'Failed to connect to Gemini embedding API',
-        code: 'CONNECTION_ERROR'
+      return {
+        data: {
+          embeddings,
+          usageMetadata: {
+            promptTokenCount: inputTokens,
+            totalTokenCount: inputTokens,
+            cost: parseFloat(cost.toFixed(6)),
+            model: modelName,
+            timestamp: new Date().toISOString()
+          }
+        },
+        status: 200,
+        headers: responses[0]?.headers || {}
       };
+
+    } catch (error) {
+      logger.error('Gemini batch embedding request failed', {
+        modelName,
+        userId,
+        error: error.message,
+        status: error.response?.status,
+        data: error.response?.data
+      });
+
+      // Transform Gemini errors to consistent format
+      throw this.toServiceError(
+        error,
+        'Gemini embedding API error',
+        'Failed to connect to Gemini embedding API',
+        { includeDetails: false }
+      );
     }
   }
 
@@ -408,17 +620,16 @@ class GeminiService {
    */
   async listModels(userId) {
     try {
-      const url = `${this.baseUrl}/v1beta/models?key=${this.apiKey}`;
+      const path = '/v1beta/models';
       
       logger.info('Listing Gemini models', {
         userId,
-        url: url.replace(this.apiKey, '[REDACTED]')
+        path
       });
 
-      const response = await axios.get(url, {
-        headers: {
-          'User-Agent': 'PerceptEye-Proxy/1.0'
-        },
+      const response = await this.send({
+        path,
+        method: 'GET',
         timeout: 30000
       });
 
@@ -440,20 +651,13 @@ class GeminiService {
         status: error.response?.status
       });
 
-      if (error.response) {
-        const geminiError = error.response.data;
-        throw {
-          status: error.response.status,
-          message: geminiError.error?.message || 'Failed to list models',
-          code: geminiError.error?.code || 'UNKNOWN_ERROR'
-        };
-      }
-
-      throw {
-        status: 500,
-        message: 'Failed to connect to Gemini API',
-        code: 'CONNECTION_ERROR'
-      };
+      // Transform Gemini errors to consistent format
+      throw this.toServiceError(
+        error,
+        'Failed to list models',
+        'Failed to connect to Gemini API',
+        { includeDetails: false }
+      );
     }
   }
 }
@@ -0,0 +1,206 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const WINDOW_MS = 60 * 1000;
+
+/**
+ * Pool of Gemini API keys with round-robin or least-used selection,
+ * cooldown after quota/permission errors and per-key RPM/TPM counters.
+ * Counters are per instance.
+ */
+class KeyPool {
+  constructor(keys, options) {
+    this.options = options;
+    this.nextIndex = 0;
+    this.keys = keys.map((key, index) => ({
+      id: `key-${index + 1}`,
+      key,
+      cooldownUntil: 0,
+      consecutiveFailures: 0,
+      totalRequests: 0,
+      totalErrors: 0,
+      lastStatus: null,
+      lastUsedAt: null,
+      requestTimes: [],
+      tokenEvents: []
+    }));
+
+    logger.info('Gemini key pool initialized', {
+      keyCount: this.keys.length,
+      strategy: options.strategy
+    });
+  }
+
+  /**
+   * Drop window entries older than a minute and return current RPM/TPM
+   */
+  usage(entry, now = Date.now()) {
+    entry.requestTimes = entry.requestTimes.filter(at => now - at < WINDOW_MS);
+    entry.tokenEvents = entry.tokenEvents.filter(event => now - event.at < WINDOW_MS);
+    return {
+      requests: entry.requestTimes.length,
+      tokens: entry.tokenEvents.reduce((sum, event) => sum + event.tokens, 0)
+    };
+  }
+
+  isAvailable(entry, now = Date.now()) {
+    if (entry.cooldownUntil > now) {
+      return false;
+    }
+
+    const { requests, tokens } = this.usage(entry, now);
+    const { requestsPerMinute, tokensPerMinute } = this.options;
+
+    if (requestsPerMinute && requests >= requestsPerMinute) {
+      return false;
+    }
+    if (tokensPerMinute && tokens >= tokensPerMinute) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Pick a key for the next upstream call, or null if every key is
+   * cooling down or at its per-minute quota
+   */
+  acquire() {
+    const now = Date.now();
+    const available = this.keys.filter(entry => this.isAvailable(entry, now));
+
+    if (available.length === 0) {
+      logger.warn('No Gemini API key available', { keyCount: this.keys.length });
+      return null;
+    }
+
+    let entry;
+    if (this.options.strategy === 'least-used') {
+      entry = available.reduce((best, candidate) => {
+        const bestUsage = this.usage(best, now);
+        const candidateUsage = this.usage(candidate, now);
+        return candidateUsage.requests < bestUsage.requests ? candidate : best;
+      });
+    } else {
+      for (let i = 0; i < this.keys.length; i++) {
+        const candidate = this.keys[(this.nextIndex + i) % this.keys.length];
+        if (available.includes(candidate)) {
+          entry = candidate;
+          this.nextIndex = (this.keys.indexOf(candidate) + 1) % this.keys.length;
+          break;
+        }
+      }
+    }
+
+    entry.totalRequests++;
+    entry.lastUsedAt = now;
+    entry.requestTimes.push(now);
+
+    return entry;
+  }
+
+  /**
+   * Milliseconds until some key leaves cooldown or frees quota
+   */
+  nextAvailableIn() {
+    const now = Date.now();
+    const { requestsPerMinute, tokensPerMinute } = this.options;
+
+    const waits = this.keys.map(entry => {
+      if (entry.cooldownUntil > now) {
+        return entry.cooldownUntil - now;
+      }
+
+      const { requests, tokens } = this.usage(entry, now);
+      let wait = 0;
+      if (requestsPerMinute && requests >= requestsPerMinute) {
+        wait = Math.max(wait, WINDOW_MS - (now - entry.requestTimes[0]));
+      }
+      if (tokensPerMinute && tokens >= tokensPerMinute) {
+        wait = Math.max(wait, WINDOW_MS - (now - entry.tokenEvents[0].at));
+      }
+      return wait;
+    });
+
+    return Math.min(...waits);
+  }
+
+  /**
+   * Feed an upstream response status back into the key's health.
+   * 429 and 403 put the key into an exponentially growing cooldown.
+   */
+  reportResult(entry, { status, retryAfterMs = null }) {
+    if (!entry) {
+      return;
+    }
+
+    entry.lastStatus = status || null;
+
+    if (status === 429 || status === 403) {
+      entry.totalErrors++;
+      entry.consecutiveFailures++;
+
+      const backoff = Math.min(
+        this.options.cooldownMs * 2 ** (entry.consecutiveFailures - 1),
+        this.options.maxCooldownMs
+      );
+      entry.cooldownUntil = Date.now() + Math.max(backoff, retryAfterMs || 0);
+
+      logger.warn('Gemini API key cooling down', {
+        keyId: entry.id,
+        status,
+        cooldownMs: entry.cooldownUntil - Date.now(),
+        consecutiveFailures: entry.consecutiveFailures
+      });
+      return;
+    }
+
+    if (status && status < 400) {
+      entry.consecutiveFailures = 0;
+    } else if (status >= 500 || !status) {
+      entry.totalErrors++;
+    }
+  }
+
+  /**
+   * Count tokens spent with a key towards its TPM window
+   */
+  recordTokens(entry, tokens) {
+    if (!entry || !tokens) {
+      return;
+    }
+    entry.tokenEvents.push({ at: Date.now(), tokens });
+  }
+
+  /**
+   * Health snapshot for the admin API, with keys masked
+   */
+  getHealth() {
+    const now = Date.now();
+    return {
+      strategy: this.options.strategy,
+      limits: {
+        requestsPerMinute: this.options.requestsPerMinute || null,
+        tokensPerMinute: this.options.tokensPerMinute || null
+      },
+      keys: this.keys.map(entry => {
+        const { requests, tokens } = this.usage(entry, now);
+        return {
+          id: entry.id,
+          key: `...${entry.key.slice(-4)}`,
+          available: this.isAvailable(entry, now),
+          coolingDown: entry.cooldownUntil > now,
+          cooldownRemainingMs: Math.max(entry.cooldownUntil - now, 0),
+          consecutiveFailures: entry.consecutiveFailures,
+          requestsLastMinute: requests,
+          tokensLastMinute: tokens,
+          totalRequests: entry.totalRequests,
+          totalErrors: entry.totalErrors,
+          lastStatus: entry.lastStatus,
+          lastUsedAt: entry.lastUsedAt ? new Date(entry.lastUsedAt).toISOString() : null
+        };
+      })
+    };
+  }
+}
+
+module.exports = new KeyPool(config.gemini.apiKeys, config.gemini.keyPool);
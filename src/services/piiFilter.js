@@ -0,0 +1,105 @@
+const config = require('../config/config');
+const supabaseService = require('./supabase');
+const logger = require('../utils/logger');
+const { redactBody, StreamRestorer } = require('../utils/piiRedaction');
+
+const MODES = ['off', 'log', 'mask', 'block'];
+
+/**
+ * Screens prompt text for personal data and secrets. Each organization
+ * picks its own mode and whether masked values are restored in responses;
+ * users without an organization get the configured defaults.
+ */
+class PiiFilter {
+  constructor(options) {
+    this.options = options;
+  }
+
+  /**
+   * Resolve `{ mode, restore }` for a user's organization. Falls back to
+   * the defaults when the organization cannot be read.
+   */
+  async getSettings(profile) {
+    const settings = {
+      mode: this.options.mode,
+      restore: this.options.restoreResponses
+    };
+
+    if (!profile?.organization_id) {
+      return settings;
+    }
+
+    try {
+      const organization = await supabaseService.getOrganization(profile.organization_id);
+      if (MODES.includes(organization.pii_mode)) {
+        settings.mode = organization.pii_mode;
+      }
+      if (typeof organization.pii_restore === 'boolean') {
+        settings.restore = organization.pii_restore;
+      }
+    } catch (error) {
+      logger.error('PII filter settings lookup failed', {
+        organizationId: profile.organization_id,
+        error: error.message
+      });
+    }
+
+    return settings;
+  }
+
+  /**
+   * Scan a Gemini request body, masking matches in place in mask mode.
+   * Resolves with `{ mode, restore, counts, total, placeholders }`, or null
+   * when the filter is off.
+   */
+  async screen(userId, profile, body) {
+    const { mode, restore } = await this.getSettings(profile);
+    if (mode === 'off') {
+      return null;
+    }
+
+    const redaction = {
+      mode,
+      restore: mode === 'mask' && restore,
+      ...redactBody(body, { mask: mode === 'mask' })
+    };
+
+    if (redaction.total > 0) {
+      logger.warn('Sensitive data found in request', {
+        userId,
+        mode,
+        redactions: redaction.counts
+      });
+    }
+
+    return redaction;
+  }
+
+  /**
+   * Restorer for the streamed responses to a screened request, or null
+   * when its masked values stay masked
+   */
+  streamRestorer(redaction) {
+    return redaction?.restore && redaction.total > 0
+      ? new StreamRestorer(redaction.placeholders)
+      : null;
+  }
+
+  /**
+   * Usage record metadata for a screened request, or null when nothing
+   * was found
+   */
+  usageMetadata(redaction) {
+    if (!redaction?.total) {
+      return null;
+    }
+    return {
+      pii: {
+        mode: redaction.mode,
+        redactions: redaction.counts
+      }
+    };
+  }
+}
+
+module.exports = new PiiFilter(config.piiFilter);
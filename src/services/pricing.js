@@ -0,0 +1,189 @@
+const path = require('path');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const TOKENS_PER_UNIT = 1000000;
+
+function rateFor(rate, modality) {
+  if (rate === undefined || rate === null) {
+    return null;
+  }
+  if (typeof rate === 'number') {
+    return rate;
+  }
+  return rate[modality] ?? rate.default ?? null;
+}
+
+function defaultRate(rate) {
+  return rateFor(rate, 'default') || 0;
+}
+
+/**
+ * Price a token count split by modality. Details that do not add up to the
+ * total (e.g. a stream cut short) leave a remainder priced at the default.
+ */
+function priceByModality(total, details, rate) {
+  if (!total || rate === undefined || rate === null) {
+    return 0;
+  }
+
+  let priced = 0;
+  let cost = 0;
+  for (const { modality, tokenCount } of details || []) {
+    const count = Math.min(tokenCount || 0, total - priced);
+    cost += count * (rateFor(rate, modality) ?? 0);
+    priced += count;
+  }
+
+  return (cost + (total - priced) * defaultRate(rate)) / TOKENS_PER_UNIT;
+}
+
+/**
+ * Subtract cached tokens from the prompt details, per modality
+ */
+function uncachedDetails(promptDetails = [], cacheDetails = []) {
+  const cached = new Map(cacheDetails.map(({ modality, tokenCount }) => [modality, tokenCount || 0]));
+  return promptDetails.map(({ modality, tokenCount }) => ({
+    modality,
+    tokenCount: Math.max((tokenCount || 0) - (cached.get(modality) || 0), 0)
+  }));
+}
+
+/**
+ * Versioned, modality-aware Gemini pricing loaded from `src/config/pricing.js`
+ * or PRICING_FILE
+ */
+class PricingService {
+  constructor(table) {
+    this.load(table);
+    this.unpricedModels = new Set();
+  }
+
+  /**
+   * Validate and index a pricing table. Versions are kept newest first.
+   */
+  load(table) {
+    const models = new Map();
+
+    for (const [model, versions] of Object.entries(table.models || {})) {
+      if (!Array.isArray(versions) || versions.length === 0) {
+        throw new Error(`Pricing for ${model} has no versions`);
+      }
+
+      const parsed = versions.map((version) => {
+        const effectiveFrom = new Date(version.effectiveFrom);
+        if (Number.isNaN(effectiveFrom.getTime())) {
+          throw new Error(`Pricing for ${model} has an invalid effectiveFrom: ${version.effectiveFrom}`);
+        }
+        const bands = version.bands || [];
+        if (bands.length === 0 || bands.some(band => band.input === undefined)) {
+          throw new Error(`Pricing for ${model} (${version.effectiveFrom}) needs bands with an input rate`);
+        }
+        if (bands[bands.length - 1].maxPromptTokens !== undefined) {
+          throw new Error(`The last pricing band for ${model} (${version.effectiveFrom}) must not set maxPromptTokens`);
+        }
+        return { ...version, effectiveFrom, bands };
+      });
+
+      models.set(model, parsed.sort((a, b) => b.effectiveFrom - a.effectiveFrom));
+    }
+
+    for (const [alias, target] of Object.entries(table.aliases || {})) {
+      if (!models.has(target)) {
+        throw new Error(`Pricing alias ${alias} points to unpriced model ${target}`);
+      }
+    }
+
+    this.models = models;
+    this.aliases = table.aliases || {};
+  }
+
+  /**
+   * Map a model name onto its pricing entry, or null if it is not priced
+   */
+  resolveModel(modelName = '') {
+    const model = modelName.replace(/^models\//, '');
+    const candidates = [model, model.replace(/-latest$/, ''), model.replace(/-\d{3}$/, '')];
+
+    for (const candidate of candidates) {
+      if (this.models.has(candidate)) {
+        return candidate;
+      }
+      if (this.aliases[candidate]) {
+        return this.aliases[candidate];
+      }
+    }
+    return null;
+  }
+
+  hasPricing(modelName) {
+    return this.resolveModel(modelName) !== null;
+  }
+
+  /**
+   * Rates for a model at a point in time and prompt size, or null
+   */
+  getRates(modelName, { promptTokenCount = 0, at = new Date() } = {}) {
+    const model = this.resolveModel(modelName);
+    if (!model) {
+      return null;
+    }
+
+    // Usage older than every version is priced with the oldest one
+    const versions = this.models.get(model);
+    const version = versions.find(candidate => candidate.effectiveFrom <= at) || versions[versions.length - 1];
+    const band = version.bands.find(candidate =>
+      candidate.maxPromptTokens === undefined || promptTokenCount <= candidate.maxPromptTokens
+    );
+
+    return {
+      model,
+      effectiveFrom: version.effectiveFrom.toISOString().slice(0, 10),
+      band
+    };
+  }
+
+  /**
+   * Price token usage (counts and per-modality details as reported in
+   * Gemini `usageMetadata`). Returns `{ cost, breakdown, model,
+   * effectiveFrom }`, or null when the model has no pricing.
+   */
+  price(modelName, usage = {}, { at = new Date() } = {}) {
+    const promptTokenCount = usage.promptTokenCount || 0;
+    const rates = this.getRates(modelName, { promptTokenCount, at });
+
+    if (!rates) {
+      if (!this.unpricedModels.has(modelName)) {
+        this.unpricedModels.add(modelName);
+        logger.error('No pricing for model, usage will be recorded without cost', { model: modelName });
+      }
+      return null;
+    }
+
+    const { band } = rates;
+    const cachedTokens = Math.min(usage.cachedContentTokenCount || 0, promptTokenCount);
+    const cachedInputRate = band.cachedInput ?? band.input;
+
+    const breakdown = {
+      input: priceByModality(
+        promptTokenCount - cachedTokens,
+        uncachedDetails(usage.promptTokensDetails, usage.cacheTokensDetails),
+        band.input
+      ) + priceByModality(usage.toolUsePromptTokenCount || 0, usage.toolUsePromptTokensDetails, band.input),
+      cachedInput: priceByModality(cachedTokens, usage.cacheTokensDetails, cachedInputRate),
+      output: priceByModality(usage.candidatesTokenCount || 0, usage.candidatesTokensDetails, band.output),
+      thoughts: priceByModality(usage.thoughtsTokenCount || 0, null, band.thoughts ?? defaultRate(band.output))
+    };
+
+    return {
+      cost: breakdown.input + breakdown.cachedInput + breakdown.output + breakdown.thoughts,
+      breakdown,
+      model: rates.model,
+      effectiveFrom: rates.effectiveFrom
+    };
+  }
+}
+
+module.exports = new PricingService(
+  config.pricingFile ? require(path.resolve(config.pricingFile)) : require('../config/pricing')
+);
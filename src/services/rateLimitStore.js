@@ -0,0 +1,115 @@
+const { MemoryStore } = require('express-rate-limit');
+const redis = require('./redis');
+const logger = require('../utils/logger');
+
+// Increment the hit counter and start the window on the first hit, in one
+// round trip so concurrent instances never see a counter without a TTL
+const INCREMENT_SCRIPT = `
+local hits = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if hits == 1 or ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { hits, ttl }
+`;
+
+const DECREMENT_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  return redis.call('DECR', KEYS[1])
+end
+return 0
+`;
+
+/**
+ * express-rate-limit store that shares counters between instances through
+ * Redis, falling back to a per-instance memory store while Redis is down
+ */
+class RedisRateLimitStore {
+  constructor({ prefix }) {
+    this.prefix = prefix;
+    this.localKeys = false;
+    this.fallback = new MemoryStore();
+    this.usingFallback = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+    this.fallback.init(options);
+  }
+
+  prefixKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  noteFallback(useFallback) {
+    if (useFallback !== this.usingFallback) {
+      this.usingFallback = useFallback;
+      logger.warn(useFallback
+        ? 'Rate limit store falling back to memory'
+        : 'Rate limit store using Redis again', { prefix: this.prefix });
+    }
+  }
+
+  async get(key) {
+    if (!redis.isRedisConnected()) {
+      this.noteFallback(true);
+      return this.fallback.get(key);
+    }
+
+    try {
+      const client = await redis.getClient();
+      const redisKey = this.prefixKey(key);
+      const [hits, ttl] = await Promise.all([client.get(redisKey), client.pTTL(redisKey)]);
+      this.noteFallback(false);
+
+      if (hits === null) {
+        return undefined;
+      }
+
+      return {
+        totalHits: Number(hits),
+        resetTime: new Date(Date.now() + Math.max(ttl, 0))
+      };
+    } catch (error) {
+      logger.error('Rate limit store get failed', { error: error.message, prefix: this.prefix });
+      this.noteFallback(true);
+      return this.fallback.get(key);
+    }
+  }
+
+  async increment(key) {
+    const result = await redis.runScript(INCREMENT_SCRIPT, [this.prefixKey(key)], [this.windowMs]);
+
+    if (!result) {
+      this.noteFallback(true);
+      return this.fallback.increment(key);
+    }
+
+    this.noteFallback(false);
+    const [hits, ttl] = result;
+
+    return {
+      totalHits: Number(hits),
+      resetTime: new Date(Date.now() + Number(ttl))
+    };
+  }
+
+  async decrement(key) {
+    const result = await redis.runScript(DECREMENT_SCRIPT, [this.prefixKey(key)]);
+    if (result === null) {
+      await this.fallback.decrement(key);
+    }
+  }
+
+  async resetKey(key) {
+    await redis.del(this.prefixKey(key));
+    await this.fallback.resetKey(key);
+  }
+
+  shutdown() {
+    this.fallback.shutdown();
+  }
+}
+
+module.exports = RedisRateLimitStore;
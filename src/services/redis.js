@@ -3,6 +3,7 @@ const logger = require('../utils/logger');
 
 let client = null;
 let isConnected = false;
+let outage = false;
 
 async function initializeRedis() {
   try {
@@ -15,27 +16,14 @@ async function initializeRedis() {
     }
 
     client = redis.createClient({
-      host: redisHost,
-      port: redisPort,
-      retry_strategy: (options) => {
-        if (options.error && options.error.code === 'ECONNREFUSED') {
-          // End reconnecting on a specific error and flush all commands with a error
-          logger.error('Redis server refused the connection');
-          return new Error('Redis server connection refused');
-        }
-        if (options.total_retry_time > 1000 * 60 * 60) {
-          // End reconnecting after a specific timeout and flush all commands with a error
-          logger.error('Redis retry time exhausted');
-          return new Error('Redis retry time exhausted');
-        }
-        if (options.attempt > 10) {
-          // End reconnecting with built in error
-          logger.error('Redis retry attempts exhausted');
-          return undefined;
-        }
-        // Reconnect after
-        return Math.min(options.attempt * 100, 3000);
-      }
+      socket: {
+        host: redisHost,
+        port: Number(redisPort),
+        // Never give up: callers use in-memory stores while Redis is down
+        // and go back to the shared ones once it reconnects
+        reconnectStrategy: retries => Math.min(retries * 100, 5000)
+      },
+      password: process.env.REDIS_PASSWORD || undefined
     });
 
     client.on('connect', () => {
@@ -44,12 +32,22 @@ async function initializeRedis() {
     });
 
     client.on('ready', () => {
-      logger.info('Redis client ready');
+      logger.info(outage ? 'Redis reconnected, shared stores restored' : 'Redis client ready');
+      outage = false;
       isConnected = true;
     });
 
+    // Each reconnect attempt fails with an error, so only report the
+    // first one of an outage
     client.on('error', (err) => {
-      logger.error('Redis client error', { error: err.message });
+      if (isConnected || !outage) {
+        logger.error('Redis unavailable, falling back to in-memory stores until it reconnects', {
+          error: err.message
+        });
+        outage = true;
+      } else {
+        logger.debug('Redis reconnect attempt failed', { error: err.message });
+      }
       isConnected = false;
     });
 
@@ -59,7 +57,7 @@ async function initializeRedis() {
     });
 
     client.on('reconnecting', () => {
-      logger.info('Redis client reconnecting');
+      logger.debug('Redis client reconnecting');
       isConnected = false;
     });
 
@@ -128,6 +126,34 @@ async function incr(key) {
   }
 }
 
+async function incrBy(key, increment) {
+  if (!isRedisConnected()) {
+    logger.debug('Redis not available, skipping incrBy operation');
+    return null;
+  }
+
+  try {
+    return await client.incrBy(key, increment);
+  } catch (error) {
+    logger.error('Redis incrBy error', { error: error.message, key });
+    return null;
+  }
+}
+
+async function incrByFloat(key, increment) {
+  if (!isRedisConnected()) {
+    logger.debug('Redis not available, skipping incrByFloat operation');
+    return null;
+  }
+
+  try {
+    return parseFloat(await client.incrByFloat(key, increment));
+  } catch (error) {
+    logger.error('Redis incrByFloat error', { error: error.message, key });
+    return null;
+  }
+}
+
 async function expire(key, ttl) {
   if (!isRedisConnected()) {
     logger.debug('Redis not available, skipping expire operation');
@@ -143,6 +169,23 @@ async function expire(key, ttl) {
   }
 }
 
+async function runScript(script, keys, args = []) {
+  if (!isRedisConnected()) {
+    logger.debug('Redis not available, skipping script');
+    return null;
+  }
+
+  try {
+    return await client.eval(script, {
+      keys,
+      arguments: args.map(String)
+    });
+  } catch (error) {
+    logger.error('Redis script error', { error: error.message, keys });
+    return null;
+  }
+}
+
 async function del(key) {
   if (!isRedisConnected()) {
     logger.debug('Redis not available, skipping del operation');
@@ -169,7 +212,10 @@ module.exports = {
   set,
   get,
   incr,
+  incrBy,
+  incrByFloat,
   expire,
+  runScript,
   del,
   initializeRedis
 }; 
\ No newline at end of file
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const cacheStore = require('./cacheStore');
+
+const CACHEABLE_ACTIONS = ['generateContent', 'countTokens'];
+
+/**
+ * JSON.stringify with sorted object keys, so equivalent bodies hash the same
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Cache of upstream responses for deterministic Gemini calls
+ */
+class ResponseCache {
+  constructor(options) {
+    this.options = options;
+  }
+
+  /**
+   * Whether the client asked for caching on this request
+   */
+  isRequested(req) {
+    if (!this.options.enabled) {
+      return false;
+    }
+    const header = (req.get('X-Proxy-Cache') || '').toLowerCase();
+    return ['on', 'true', '1'].includes(header);
+  }
+
+  /**
+   * Only calls whose output is fully determined by the input are cached:
+   * countTokens always, generateContent only at temperature 0 with a
+   * single candidate
+   */
+  isCacheable(action, body = {}) {
+    if (!CACHEABLE_ACTIONS.includes(action)) {
+      return false;
+    }
+    if (action === 'countTokens') {
+      return true;
+    }
+
+    const generationConfig = body.generationConfig || {};
+    return generationConfig.temperature === 0 &&
+      (generationConfig.candidateCount === undefined || generationConfig.candidateCount === 1);
+  }
+
+  /**
+   * Entries are partitioned per user, or per tenant when the profile has an
+   * organization and tenant scope is configured or requested
+   */
+  scopeFor(req) {
+    const requested = (req.get('X-Proxy-Cache-Scope') || this.options.scope).toLowerCase();
+    const organizationId = req.userProfile?.organization_id;
+
+    if (requested === 'tenant' && organizationId) {
+      return `tenant:${organizationId}`;
+    }
+    return `user:${req.user.id}`;
+  }
+
+  /**
+   * Key for a call; the API version is part of it because v1 and v1beta
+   * answer the same body differently
+   */
+  buildKey(req, { apiVersion, model, action }, body) {
+    const hash = crypto
+      .createHash('sha256')
+      .update(`${apiVersion}:${model}:${action}:${stableStringify(body)}`)
+      .digest('hex');
+    return `respcache:${this.scopeFor(req)}:${hash}`;
+  }
+
+  async get(key) {
+    try {
+      return await cacheStore.get(key);
+    } catch (error) {
+      logger.error('Response cache read failed', { error: error.message });
+      return null;
+    }
+  }
+
+  async set(key, entry) {
+    try {
+      await cacheStore.set(key, { ...entry, cachedAt: new Date().toISOString() }, this.options.ttlSeconds);
+    } catch (error) {
+      logger.error('Response cache write failed', { error: error.message });
+    }
+  }
+}
+
+module.exports = new ResponseCache(config.responseCache);
@@ -1,6 +1,9 @@
 const { createClient } = require('@supabase/supabase-js');
+const { jwtVerify, createRemoteJWKSet, decodeProtectedHeader } = require('jose');
+const fetch = require('node-fetch');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const cacheStore = require('./cacheStore');
 
 // Create Supabase clients
 const supabaseClient = createClient(config.supabase.url, config.supabase.anonKey);
@@ -11,6 +14,14 @@ const supabaseAdmin = createClient(config.supabase.url, config.supabase.serviceR
   }
 });
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Signing keys for asymmetric tokens; jose caches and refreshes them itself
+const jwks = createRemoteJWKSet(new URL(config.supabase.jwksUrl));
+const jwtSecret = config.supabase.jwtSecret
+  ? new TextEncoder().encode(config.supabase.jwtSecret)
+  : null;
+
 class SupabaseService {
   constructor() {
     this.client = supabaseClient;
@@ -18,9 +29,60 @@ class SupabaseService {
   }
 
   /**
-   * Verify JWT token and get user information
+   * Verify JWT token locally and build the user from its claims.
+   * Falls back to asking Supabase only for HS256 tokens when no JWT
+   * secret is configured.
    */
   async verifyToken(token) {
+    let header;
+    try {
+      header = decodeProtectedHeader(token);
+    } catch (error) {
+      return { user: null, error };
+    }
+
+    if (header.alg === 'HS256' && !jwtSecret) {
+      logger.debug('No SUPABASE_JWT_SECRET configured, verifying HS256 token remotely');
+      return this.verifyTokenRemote(token);
+    }
+
+    try {
+      const { payload } = await jwtVerify(token, header.alg === 'HS256' ? jwtSecret : jwks, {
+        issuer: config.supabase.jwtIssuer,
+        audience: config.supabase.jwtAudience
+      });
+
+      if (!payload.sub) {
+        return { user: null, error: new Error('Token has no subject') };
+      }
+
+      return {
+        user: {
+          id: payload.sub,
+          email: payload.email,
+          phone: payload.phone,
+          role: payload.role,
+          aud: payload.aud,
+          app_metadata: payload.app_metadata || {},
+          user_metadata: payload.user_metadata || {},
+          is_anonymous: payload.is_anonymous || false
+        },
+        error: null
+      };
+    } catch (error) {
+      logger.debug('Local token verification failed', {
+        error: error.message,
+        errorCode: error.code,
+        alg: header.alg
+      });
+      return { user: null, error };
+    }
+  }
+
+  /**
+   * Verify JWT token with the Supabase auth server and get user information
+   */
+  async verifyTokenRemote(token) {
     try {
       logger.debug('Starting token verification', { 
         tokenLength: token.length,
@@ -86,12 +148,14 @@ class SupabaseService {
   }
 
   /**
-   * Check user limits and current usage
+   * Check user limits and current usage for the calendar hour, day and
+   * month in the user's timezone, with when each period resets
    */
   async checkUserLimits(userId) {
     try {
-      const { data, error } = await this.admin.rpc('check_user_limits', {
-        p_user_id: userId
+      const { data, error } = await this.admin.rpc('check_user_quotas', {
+        p_user_id: userId,
+        p_default_timezone: config.quotas.defaultTimezone
       });
 
       if (error) {
@@ -100,12 +164,20 @@ class SupabaseService {
       }
 
       return data[0] || {
+        timezone: config.quotas.defaultTimezone,
         within_hourly_limit: false,
         within_daily_token_limit: false,
         within_daily_cost_limit: false,
-        requests_last_hour: 0,
+        within_monthly_token_limit: false,
+        within_monthly_cost_limit: false,
+        requests_this_hour: 0,
         tokens_today: 0,
-        cost_today: 0
+        cost_today: 0,
+        tokens_this_month: 0,
+        cost_this_month: 0,
+        hour_resets_at: null,
+        day_resets_at: null,
+        month_resets_at: null
       };
     } catch (error) {
       logger.error('Error in checkUserLimits', { userId, error: error.message });
@@ -141,10 +213,61 @@ class SupabaseService {
     }
   }
 
+  /**
+   * Totals and per-day, per-model and per-request-type breakdowns of the
+   * user's usage in [from, to), with days in their quota timezone
+   */
+  async getUsageHistory(userId, { from, to }) {
+    try {
+      const { data, error } = await this.admin.rpc('get_usage_history', {
+        p_user_id: userId,
+        p_from: from.toISOString(),
+        p_to: to.toISOString(),
+        p_default_timezone: config.quotas.defaultTimezone
+      });
+
+      if (error) {
+        logger.error('Error getting usage history', { userId, error: error.message });
+        throw new Error('Failed to get usage history');
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Error in getUsageHistory', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get one page of the user's api_usage rows in [from, to), newest first
+   */
+  async getUsageRecords(userId, { from, to, limit, offset }) {
+    try {
+      const { data, error } = await this.admin
+        .from('api_usage')
+        .select('timestamp, tokens_used, cost, model_name, request_type')
+        .eq('user_id', userId)
+        .gte('timestamp', from.toISOString())
+        .lt('timestamp', to.toISOString())
+        .order('timestamp', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        logger.error('Error getting usage records', { userId, error: error.message });
+        throw new Error('Failed to get usage records');
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Error in getUsageRecords', { userId, error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Record API usage
    */
-  async recordUsage(userId, tokensUsed, cost, modelName, requestType = 'generate') {
+  async recordUsage(userId, tokensUsed, cost, modelName, requestType = 'generate', metadata = null) {
     try {
       const { data, error } = await this.admin
         .from('api_usage')
@@ -154,7 +277,8 @@ class SupabaseService {
           cost: cost,
           model_name: modelName,
           request_type: requestType,
-          service: 'gemini'
+          service: 'gemini',
+          ...(metadata && { metadata })
         });
 
       if (error) {
@@ -183,10 +307,64 @@ class SupabaseService {
     }
   }
 
+  profileCacheKey(userId) {
+    return `profile:${userId}`;
+  }
+
   /**
-   * Get or create user profile
+   * Get user profile, served from cache for a short TTL
    */
   async getUserProfile(userId) {
+    const cacheKey = this.profileCacheKey(userId);
+    const cached = await cacheStore.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const profile = await this.fetchUserProfile(userId);
+    await cacheStore.set(cacheKey, profile, config.supabase.profileCacheTtlSeconds);
+    return profile;
+  }
+
+  /**
+   * Drop a cached profile so the next request reads it from the database
+   */
+  async invalidateUserProfile(userId) {
+    await cacheStore.del(this.profileCacheKey(userId));
+    logger.debug('User profile cache invalidated', { userId });
+  }
+
+  /**
+   * Get an organization's settings, served from cache for the profile TTL.
+   * Resolves with an empty object for unknown organizations.
+   */
+  async getOrganization(organizationId) {
+    const cacheKey = `organization:${organizationId}`;
+    const cached = await cacheStore.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const { data, error } = await this.admin
+      .from('organizations')
+      .select('*')
+      .eq('id', organizationId)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Error getting organization', { organizationId, error: error.message });
+      throw new Error('Failed to get organization');
+    }
+
+    const organization = data || {};
+    await cacheStore.set(cacheKey, organization, config.supabase.profileCacheTtlSeconds);
+    return organization;
+  }
+
+  /**
+   * Get or create user profile from the database
+   */
+  async fetchUserProfile(userId) {
     try {
       let { data: profile, error } = await this.admin
         .from('user_profiles')
@@ -267,6 +445,383 @@ class SupabaseService {
       throw error;
     }
   }
+
+  /**
+   * Get a user from Supabase Auth, or null if there is no such user
+   */
+  async getAuthUser(userId) {
+    const { data, error } = await this.admin.auth.admin.getUserById(userId);
+
+    if (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      logger.error('Error getting auth user', { userId, error: error.message });
+      throw new Error('Failed to get auth user');
+    }
+
+    return data.user;
+  }
+
+  /**
+   * Find Supabase Auth users whose email matches a search term. Goes to the
+   * admin API directly because supabase-js does not expose its filter.
+   */
+  async searchAuthUsers(search, { perPage = 1000 } = {}) {
+    const url = new URL(`${config.supabase.url}/auth/v1/admin/users`);
+    url.searchParams.set('filter', search);
+    url.searchParams.set('per_page', String(perPage));
+
+    const response = await fetch(url.toString(), {
+      headers: {
+        apikey: config.supabase.serviceRoleKey,
+        Authorization: `Bearer ${config.supabase.serviceRoleKey}`
+      }
+    });
+
+    if (!response.ok) {
+      logger.error('Error searching auth users', { status: response.status });
+      throw new Error('Failed to search users');
+    }
+
+    const { users } = await response.json();
+    return users || [];
+  }
+
+  /**
+   * List user profiles for the admin API. `search` matches a user id or an
+   * email; tier and active filters apply to the profile.
+   */
+  async listUserProfiles({ search, tier, isActive, limit, offset }) {
+    try {
+      const authUsers = new Map();
+      let query = this.admin
+        .from('user_profiles')
+        .select('*', { count: 'exact' })
+        .order('user_id')
+        .range(offset, offset + limit - 1);
+
+      if (search) {
+        const matches = await this.searchAuthUsers(search);
+        for (const user of matches) {
+          authUsers.set(user.id, user);
+        }
+        const userIds = [...authUsers.keys()];
+        if (UUID_PATTERN.test(search)) {
+          userIds.push(search);
+        }
+        query = query.in('user_id', userIds);
+      }
+      if (tier) {
+        query = query.eq('subscription_tier', tier);
+      }
+      if (isActive !== undefined) {
+        query = query.eq('is_active', isActive);
+      }
+
+      const { data: profiles, error, count } = await query;
+
+      if (error) {
+        logger.error('Error listing user profiles', { error: error.message });
+        throw new Error('Failed to list user profiles');
+      }
+
+      const userIds = profiles.map(profile => profile.user_id);
+      const { data: limits, error: limitsError } = await this.admin
+        .from('user_limits')
+        .select('*')
+        .in('user_id', userIds);
+
+      if (limitsError) {
+        logger.error('Error listing user limits', { error: limitsError.message });
+        throw new Error('Failed to list user limits');
+      }
+
+      // Emails for users the search did not already return
+      await Promise.all(userIds
+        .filter(userId => !authUsers.has(userId))
+        .map(async (userId) => {
+          const user = await this.getAuthUser(userId);
+          if (user) {
+            authUsers.set(userId, user);
+          }
+        }));
+
+      const limitsByUser = new Map(limits.map(row => [row.user_id, row]));
+      return {
+        total: count || 0,
+        users: profiles.map(profile => ({
+          profile,
+          limits: limitsByUser.get(profile.user_id) || null,
+          authUser: authUsers.get(profile.user_id) || null
+        }))
+      };
+    } catch (error) {
+      logger.error('Error in listUserProfiles', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a user's profile and drop the cached copy
+   */
+  async updateUserProfile(userId, changes) {
+    try {
+      const { data, error } = await this.admin
+        .from('user_profiles')
+        .update(changes)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) {
+        logger.error('Error updating user profile', { userId, error: error.message });
+        throw new Error('Failed to update user profile');
+      }
+
+      await this.invalidateUserProfile(userId);
+      return data;
+    } catch (error) {
+      logger.error('Error in updateUserProfile', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a user's limits
+   */
+  async updateUserLimits(userId, changes) {
+    try {
+      const { data, error } = await this.admin
+        .from('user_limits')
+        .update(changes)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) {
+        logger.error('Error updating user limits', { userId, error: error.message });
+        throw new Error('Failed to update user limits');
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Error in updateUserLimits', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Insert a budget notification unless one already exists for the same
+   * user, metric, threshold and period. Resolves with the new row, or null
+   * when another request claimed it first.
+   */
+  async claimBudgetNotification(notification) {
+    const { data, error } = await this.admin
+      .from('budget_notifications')
+      .insert({ ...notification, status: 'pending', attempts: 0 })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return null;
+      }
+      logger.error('Error claiming budget notification', {
+        userId: notification.user_id,
+        error: error.message
+      });
+      throw new Error('Failed to claim budget notification');
+    }
+
+    return data;
+  }
+
+  /**
+   * Update the delivery status of a budget notification
+   */
+  async updateBudgetNotification(id, changes) {
+    const { error } = await this.admin
+      .from('budget_notifications')
+      .update(changes)
+      .eq('id', id);
+
+    if (error) {
+      logger.error('Error updating budget notification', { id, error: error.message });
+      throw new Error('Failed to update budget notification');
+    }
+  }
+
+  /**
+   * Record an admin change in the audit log
+   */
+  async recordAdminAction({ adminId, targetUserId, action, before, after }) {
+    const { error } = await this.admin
+      .from('admin_audit_log')
+      .insert({
+        admin_id: adminId,
+        target_user_id: targetUserId,
+        action,
+        before,
+        after
+      });
+
+    if (error) {
+      logger.error('Error recording admin action', {
+        adminId,
+        targetUserId,
+        action,
+        error: error.message
+      });
+      throw new Error('Failed to record admin action');
+    }
+  }
+
+  /**
+   * Get audit log entries, newest first, optionally for one user
+   */
+  async getAdminAuditLog({ targetUserId, limit, offset }) {
+    let query = this.admin
+      .from('admin_audit_log')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (targetUserId) {
+      query = query.eq('target_user_id', targetUserId);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      logger.error('Error getting admin audit log', { targetUserId, error: error.message });
+      throw new Error('Failed to get admin audit log');
+    }
+
+    return { entries: data, total: count || 0 };
+  }
+
+  /**
+   * Hold an amount against the user's credit wallet. Resolves with
+   * `{ status, balance, held }`; status is `held`, `insufficient` or
+   * `no_wallet`.
+   */
+  async reserveCredit({ userId, holdId, amount, requestId, ttlSeconds }) {
+    const { data, error } = await this.admin.rpc('credit_reserve', {
+      p_user_id: userId,
+      p_hold_id: holdId,
+      p_amount: amount,
+      p_request_id: requestId || null,
+      p_ttl_seconds: ttlSeconds
+    });
+
+    if (error) {
+      logger.error('Error reserving credit', { userId, error: error.message });
+      throw new Error('Failed to reserve credit');
+    }
+
+    const result = data[0] || { status: 'no_wallet', balance: 0, held: 0 };
+    return {
+      status: result.status,
+      balance: parseFloat(result.balance) || 0,
+      held: parseFloat(result.held) || 0
+    };
+  }
+
+  /**
+   * Replace a credit hold with a debit for the actual cost
+   */
+  async settleCredit({ userId, holdId, amount, description }) {
+    const { error } = await this.admin.rpc('credit_settle', {
+      p_user_id: userId,
+      p_hold_id: holdId,
+      p_amount: amount,
+      p_description: description || null
+    });
+
+    if (error) {
+      logger.error('Error settling credit', { userId, holdId, error: error.message });
+      throw new Error('Failed to settle credit');
+    }
+  }
+
+  /**
+   * Drop a credit hold without charging for it
+   */
+  async releaseCredit(holdId) {
+    const { error } = await this.admin.rpc('credit_release', {
+      p_hold_id: holdId
+    });
+
+    if (error) {
+      logger.error('Error releasing credit', { holdId, error: error.message });
+      throw new Error('Failed to release credit');
+    }
+  }
+
+  /**
+   * Add a top-up, refund or adjustment to the user's credit ledger.
+   * Resolves with `{ entry, replayed }`; a repeated reference returns the
+   * existing entry with `replayed: true`.
+   */
+  async applyCredit({ userId, type, amount, reference, description, createdBy }) {
+    const { data, error } = await this.admin.rpc('credit_apply', {
+      p_user_id: userId,
+      p_entry_type: type,
+      p_amount: amount,
+      p_reference: reference || null,
+      p_description: description || null,
+      p_created_by: createdBy || null
+    });
+
+    if (error) {
+      logger.error('Error applying credit', { userId, type, error: error.message });
+      throw new Error('Failed to apply credit');
+    }
+
+    return data[0];
+  }
+
+  /**
+   * Get the user's credit wallet, or null if they have none
+   */
+  async getCreditWallet(userId) {
+    const { data, error } = await this.admin
+      .from('credit_wallets')
+      .select('balance, held, updated_at')
+      .eq('user_id', userId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      logger.error('Error getting credit wallet', { userId, error: error.message });
+      throw new Error('Failed to get credit wallet');
+    }
+
+    return data;
+  }
+
+  /**
+   * Get the user's credit ledger entries, newest first
+   */
+  async getCreditLedger(userId, { limit, offset }) {
+    const { data, error, count } = await this.admin
+      .from('credit_ledger')
+      .select('*', { count: 'exact' })
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      logger.error('Error getting credit ledger', { userId, error: error.message });
+      throw new Error('Failed to get credit ledger');
+    }
+
+    return { entries: data, total: count || 0 };
+  }
 }
 
 module.exports = new SupabaseService(); 
\ No newline at end of file
@@ -0,0 +1,317 @@
+const fetch = require('node-fetch');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const keyPool = require('./keyPool');
+const { UpstreamUnavailableError } = require('../middleware/errorHandler');
+
+// Statuses worth another attempt, possibly with a different key
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+// Statuses that count as the model being unhealthy for the circuit breaker
+const BREAKER_STATUSES = [500, 502, 503, 504];
+
+const RETRYABLE_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'ESOCKETTIMEDOUT'
+];
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+function isRetryableError(error) {
+  return RETRYABLE_ERROR_CODES.includes(error.code) ||
+    (error.name === 'FetchError' && error.type === 'request-timeout');
+}
+
+/**
+ * Wait `ms`, or reject with an AbortError as soon as `signal` aborts so a
+ * disconnected client does not sit out the backoff
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      clearTimeout(timer);
+      const error = new Error('The operation was aborted.');
+      error.name = 'AbortError';
+      reject(error);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', abort);
+      resolve();
+    }, ms);
+
+    if (signal?.aborted) {
+      abort();
+    } else {
+      signal?.addEventListener('abort', abort, { once: true });
+    }
+  });
+}
+
+/**
+ * Per-model circuit breaker. Opens after a run of consecutive upstream
+ * failures, fails fast while open, then lets a single trial request
+ * through (half-open) to decide whether to close again.
+ */
+class CircuitBreaker {
+  constructor(name, { failureThreshold, resetTimeoutMs }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = 0;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a request may go upstream right now
+   */
+  allowRequest() {
+    if (this.state === 'closed') {
+      return true;
+    }
+
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'half-open';
+      this.trialInFlight = false;
+      logger.info('Circuit breaker half-open', { model: this.name });
+    }
+
+    if (this.state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  retryAfterSeconds() {
+    const remaining = this.resetTimeoutMs - (Date.now() - this.openedAt);
+    return Math.max(Math.ceil(remaining / 1000), 1);
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      logger.info('Circuit breaker closed', { model: this.name });
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        logger.warn('Circuit breaker opened', {
+          model: this.name,
+          failures: this.failures,
+          resetTimeoutMs: this.resetTimeoutMs
+        });
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * A trial request that ended without a verdict (e.g. client abort)
+   */
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+}
+
+/**
+ * Shared client for every call to the Gemini REST API. Handles key
+ * selection, retries with jittered exponential backoff (honouring
+ * Retry-After) and a circuit breaker per model.
+ */
+class UpstreamClient {
+  constructor(options) {
+    this.options = options;
+    this.breakers = new Map();
+  }
+
+  getBreaker(model) {
+    const name = model || 'default';
+    if (!this.breakers.has(name)) {
+      this.breakers.set(name, new CircuitBreaker(name, this.options.circuitBreaker));
+    }
+    return this.breakers.get(name);
+  }
+
+  backoffDelay(attempt) {
+    const ceiling = Math.min(this.options.baseDelayMs * 2 ** attempt, this.options.maxDelayMs);
+    // Full jitter spreads retries from many clients
+    return Math.round(Math.random() * ceiling);
+  }
+
+  /**
+   * Send a request to `${baseUrl}${path}` and resolve with the final
+   * node-fetch Response (which may still be an error status) along with
+   * the API key that served it.
+   *
+   * Only failures before a response arrives, or retryable statuses, are
+   * retried, so nothing has been passed on to the client yet. Set
+   * `idempotent: false` for calls that must never be repeated.
+   */
+  async request({
+    path,
+    method = 'GET',
+    body,
+    headers = {},
+    model = null,
+    signal,
+    timeout = 30000,
+    idempotent = true,
+    userAgent = 'PerceptEye-Proxy/1.0'
+  }) {
+    const breaker = this.getBreaker(model);
+    const maxAttempts = idempotent ? this.options.maxRetries + 1 : 1;
+    let lastError = null;
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      if (!breaker.allowRequest()) {
+        throw new UpstreamUnavailableError(
+          `Gemini model ${model || 'API'} is temporarily unavailable, please retry later`,
+          { code: 'CIRCUIT_OPEN', model, retryAfter: breaker.retryAfterSeconds() }
+        );
+      }
+
+      const apiKey = keyPool.acquire();
+      if (!apiKey) {
+        breaker.releaseTrial();
+        throw new UpstreamUnavailableError(
+          'All upstream API keys are cooling down or at quota, please retry shortly',
+          {
+            code: 'NO_API_KEY_AVAILABLE',
+            model,
+            retryAfter: Math.ceil(keyPool.nextAvailableIn() / 1000) || 1
+          }
+        );
+      }
+
+      const separator = path.includes('?') ? '&' : '?';
+      const url = `${config.gemini.baseUrl}${path}${separator}key=${apiKey.key}`;
+      let response;
+
+      try {
+        response = await fetch(url, {
+          method,
+          headers: { ...headers, 'User-Agent': userAgent },
+          body,
+          signal,
+          timeout
+        });
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          breaker.releaseTrial();
+          throw error;
+        }
+
+        keyPool.reportResult(apiKey, { status: null });
+        breaker.recordFailure();
+        lastError = error;
+
+        logger.warn('Upstream request failed', {
+          model,
+          path: path.split('?')[0],
+          attempt: attempt + 1,
+          maxAttempts,
+          apiKeyId: apiKey.id,
+          error: error.message,
+          errorCode: error.code
+        });
+
+        if (!isRetryableError(error) || attempt === maxAttempts - 1) {
+          break;
+        }
+
+        await sleep(this.backoffDelay(attempt), signal);
+        continue;
+      }
+
+      const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+      keyPool.reportResult(apiKey, { status: response.status, retryAfterMs });
+
+      if (BREAKER_STATUSES.includes(response.status)) {
+        breaker.recordFailure();
+      } else {
+        breaker.recordSuccess();
+      }
+
+      const canRetry = RETRYABLE_STATUSES.includes(response.status) &&
+        attempt < maxAttempts - 1 &&
+        (retryAfterMs === null || retryAfterMs <= this.options.maxRetryAfterMs);
+
+      if (!canRetry) {
+        return { response, apiKey, attempts: attempt + 1 };
+      }
+
+      logger.warn('Retrying upstream request', {
+        model,
+        path: path.split('?')[0],
+        status: response.status,
+        attempt: attempt + 1,
+        maxAttempts,
+        apiKeyId: apiKey.id
+      });
+
+      // Drain the error body so the socket can be reused
+      await response.text().catch(() => {});
+      await sleep(Math.max(retryAfterMs || 0, this.backoffDelay(attempt)), signal);
+    }
+
+    logger.error('Upstream request gave up', {
+      model,
+      path: path.split('?')[0],
+      maxAttempts,
+      error: lastError?.message,
+      errorCode: lastError?.code
+    });
+
+    throw new UpstreamUnavailableError(
+      `Gemini API could not be reached${model ? ` for model ${model}` : ''}, please retry later`,
+      {
+        code: 'UPSTREAM_UNREACHABLE',
+        model,
+        retryAfter: Math.ceil(this.options.baseDelayMs * 2 ** this.options.maxRetries / 1000) || 1
+      }
+    );
+  }
+
+  /**
+   * Breaker states for the admin API
+   */
+  getCircuitStates() {
+    return Array.from(this.breakers.values()).map(breaker => ({
+      model: breaker.name,
+      state: breaker.state,
+      consecutiveFailures: breaker.failures,
+      openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null
+    }));
+  }
+}
+
+module.exports = new UpstreamClient(config.upstream);
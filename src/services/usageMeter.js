@@ -0,0 +1,91 @@
+const logger = require('../utils/logger');
+const geminiService = require('./gemini');
+const { estimateTextTokens, collectText } = require('../utils/geminiRequest');
+
+const EMPTY_USAGE = {
+  promptTokenCount: 0,
+  candidatesTokenCount: 0,
+  totalTokenCount: 0
+};
+
+/**
+ * Meters traffic that reaches Google without going through GeminiService
+ */
+class UsageMeter {
+  /**
+   * Extract token usage from a Gemini response body for the given action
+   */
+  extractUsage(action, responseBody, requestBody = {}) {
+    try {
+      switch (action) {
+        case 'generateContent':
+        case 'streamGenerateContent':
+          return geminiService.extractTokenUsage({ data: responseBody });
+
+        case 'countTokens':
+          // Counting tokens is free upstream; we only log the request
+          return { ...EMPTY_USAGE };
+
+        case 'embedContent':
+          return this.extractEmbeddingUsage(responseBody, [requestBody.content]);
+
+        case 'batchEmbedContents':
+          return this.extractEmbeddingUsage(
+            responseBody,
+            (requestBody.requests || []).map(request => request.content)
+          );
+
+        default:
+          return { ...EMPTY_USAGE };
+      }
+    } catch (error) {
+      logger.error('Error extracting proxy usage', { action, error: error.message });
+      return { ...EMPTY_USAGE };
+    }
+  }
+
+  /**
+   * Embedding responses usually carry no usageMetadata, so fall back to the request text
+   */
+  extractEmbeddingUsage(responseBody, contents) {
+    const usageMetadata = responseBody?.usageMetadata;
+    if (usageMetadata) {
+      const promptTokenCount = usageMetadata.promptTokenCount || usageMetadata.totalTokenCount || 0;
+      return {
+        promptTokenCount,
+        candidatesTokenCount: 0,
+        totalTokenCount: usageMetadata.totalTokenCount || promptTokenCount
+      };
+    }
+
+    const promptTokenCount = estimateTextTokens(collectText(contents));
+    return {
+      promptTokenCount,
+      candidatesTokenCount: 0,
+      totalTokenCount: promptTokenCount
+    };
+  }
+
+  /**
+   * Price the usage and write it to api_usage with the request's
+   * `metadata`, settle any credit hold and release any budget reservation
+   * held for the request. Never throws.
+   */
+  async record({ userId, model, requestType, usage, reservation = null, creditHold = null, metadata = null }) {
+    const cost = geminiService.calculateCost(usage, model);
+
+    logger.info('Metering proxied request', {
+      userId,
+      model,
+      requestType,
+      usage,
+      cost
+    });
+
+    await geminiService.recordUsage(userId, usage, model, requestType, cost, creditHold, metadata, reservation);
+
+    return cost;
+  }
+}
+
+module.exports = new UsageMeter();
@@ -0,0 +1,439 @@
+const { v4: uuidv4 } = require('uuid');
+const { TranslationError, normalizeModelName, sanitizeSchema } = require('./openaiTranslator');
+
+const STOP_REASONS = {
+  STOP: 'end_turn',
+  MAX_TOKENS: 'max_tokens',
+  SAFETY: 'refusal',
+  RECITATION: 'refusal',
+  BLOCKLIST: 'refusal',
+  PROHIBITED_CONTENT: 'refusal',
+  SPII: 'refusal',
+  IMAGE_SAFETY: 'refusal'
+};
+
+function createId(prefix) {
+  return `${prefix}_${uuidv4().replace(/-/g, '').slice(0, 24)}`;
+}
+
+/**
+ * Convert an Anthropic image or document source into a Gemini part
+ */
+function sourceToPart(source = {}) {
+  if (source.type === 'base64') {
+    return { inlineData: { mimeType: source.media_type, data: source.data } };
+  }
+  if (source.type === 'url' || source.type === 'file') {
+    return {
+      fileData: {
+        mimeType: source.media_type || 'application/octet-stream',
+        fileUri: source.url || source.file_id
+      }
+    };
+  }
+  throw new TranslationError(`Unsupported content source type: ${source.type}`);
+}
+
+/**
+ * Flatten tool_result content (string or blocks) into a functionResponse payload
+ */
+function toolResultToResponse(block) {
+  const blocks = typeof block.content === 'string'
+    ? [{ type: 'text', text: block.content }]
+    : block.content || [];
+  const text = blocks
+    .filter(item => item.type === 'text')
+    .map(item => item.text)
+    .join('');
+
+  let response;
+  try {
+    const parsed = JSON.parse(text);
+    response = parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : { content: text };
+  } catch (error) {
+    response = { content: text };
+  }
+
+  return block.is_error ? { error: response } : response;
+}
+
+/**
+ * Convert Anthropic message content (string or block array) into Gemini parts
+ */
+function contentToParts(content, toolNames) {
+  if (typeof content === 'string') {
+    return content ? [{ text: content }] : [];
+  }
+  if (!Array.isArray(content)) {
+    throw new TranslationError('messages: content must be a string or an array of content blocks');
+  }
+
+  const parts = [];
+  for (const block of content) {
+    switch (block.type) {
+      case 'text':
+        parts.push({ text: block.text });
+        break;
+      case 'image':
+      case 'document':
+        parts.push(sourceToPart(block.source));
+        break;
+      case 'tool_use':
+        toolNames.set(block.id, block.name);
+        parts.push({ functionCall: { name: block.name, args: block.input || {} } });
+        break;
+      case 'tool_result': {
+        const name = toolNames.get(block.tool_use_id);
+        if (!name) {
+          throw new TranslationError(`messages: no tool_use block matches tool_use_id ${block.tool_use_id}`);
+        }
+        parts.push({ functionResponse: { name, response: toolResultToResponse(block) } });
+        break;
+      }
+      case 'thinking':
+      case 'redacted_thinking':
+        // Gemini cannot replay another model's reasoning
+        break;
+      default:
+        throw new TranslationError(`messages: unsupported content block type ${block.type}`);
+    }
+  }
+  return parts;
+}
+
+function translateSystem(system) {
+  if (!system) {
+    return undefined;
+  }
+  const parts = typeof system === 'string'
+    ? [{ text: system }]
+    : system.filter(block => block.type === 'text').map(block => ({ text: block.text }));
+  return parts.length > 0 ? { parts } : undefined;
+}
+
+function translateToolChoice(toolChoice) {
+  switch (toolChoice?.type) {
+    case 'none':
+      return { functionCallingConfig: { mode: 'NONE' } };
+    case 'any':
+      return { functionCallingConfig: { mode: 'ANY' } };
+    case 'tool':
+      return { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [toolChoice.name] } };
+    default:
+      return { functionCallingConfig: { mode: 'AUTO' } };
+  }
+}
+
+/**
+ * Translate an Anthropic Messages request into a Gemini generateContent
+ * request. Returns `{ model, stream, body }`.
+ */
+function toGeminiRequest(body) {
+  if (!body || typeof body !== 'object') {
+    throw new TranslationError('Request body must be a JSON object');
+  }
+  if (!body.model) {
+    throw new TranslationError('model: Field required');
+  }
+  if (!Number.isInteger(body.max_tokens) || body.max_tokens < 1) {
+    throw new TranslationError('max_tokens: must be a positive integer');
+  }
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    throw new TranslationError('messages: at least one message is required');
+  }
+
+  const toolNames = new Map();
+  const contents = [];
+
+  for (const message of body.messages) {
+    if (message.role !== 'user' && message.role !== 'assistant') {
+      throw new TranslationError(`messages: unexpected role ${message.role}`);
+    }
+    const role = message.role === 'assistant' ? 'model' : 'user';
+    const parts = contentToParts(message.content, toolNames);
+    if (parts.length === 0) {
+      continue;
+    }
+
+    const previous = contents[contents.length - 1];
+    if (previous && previous.role === role) {
+      previous.parts.push(...parts);
+    } else {
+      contents.push({ role, parts });
+    }
+  }
+
+  const geminiBody = { contents };
+
+  const systemInstruction = translateSystem(body.system);
+  if (systemInstruction) {
+    geminiBody.systemInstruction = systemInstruction;
+  }
+
+  const tools = (body.tools || []).filter(tool => !tool.type || tool.type === 'custom');
+  if (tools.length > 0) {
+    geminiBody.tools = [{
+      functionDeclarations: tools.map((tool) => {
+        const declaration = { name: tool.name };
+        if (tool.description) {
+          declaration.description = tool.description;
+        }
+        if (Object.keys(tool.input_schema?.properties || {}).length > 0) {
+          declaration.parameters = sanitizeSchema(tool.input_schema);
+        }
+        return declaration;
+      })
+    }];
+    if (body.tool_choice) {
+      geminiBody.toolConfig = translateToolChoice(body.tool_choice);
+    }
+  }
+
+  const generationConfig = { maxOutputTokens: body.max_tokens };
+  if (body.temperature !== undefined) {
+    generationConfig.temperature = body.temperature;
+  }
+  if (body.top_p !== undefined) {
+    generationConfig.topP = body.top_p;
+  }
+  if (body.top_k !== undefined) {
+    generationConfig.topK = body.top_k;
+  }
+  if (Array.isArray(body.stop_sequences) && body.stop_sequences.length > 0) {
+    generationConfig.stopSequences = body.stop_sequences;
+  }
+  geminiBody.generationConfig = generationConfig;
+
+  return {
+    model: normalizeModelName(body.model),
+    stream: body.stream === true,
+    body: geminiBody
+  };
+}
+
+function toStopReason(finishReason, hasToolUse) {
+  if (hasToolUse && finishReason === 'STOP') {
+    return 'tool_use';
+  }
+  return STOP_REASONS[finishReason] || 'end_turn';
+}
+
+function toUsage(usageMetadata = {}) {
+  const usage = {
+    input_tokens: usageMetadata.promptTokenCount || 0,
+    output_tokens: (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0)
+  };
+  if (usageMetadata.cachedContentTokenCount) {
+    usage.cache_read_input_tokens = usageMetadata.cachedContentTokenCount;
+  }
+  return usage;
+}
+
+/**
+ * Convert the parts of one Gemini candidate into Anthropic content blocks
+ */
+function partsToBlocks(parts = []) {
+  const blocks = [];
+  for (const part of parts) {
+    if (typeof part.text === 'string' && !part.thought) {
+      const last = blocks[blocks.length - 1];
+      if (last && last.type === 'text') {
+        last.text += part.text;
+      } else {
+        blocks.push({ type: 'text', text: part.text });
+      }
+    } else if (part.functionCall) {
+      blocks.push({
+        type: 'tool_use',
+        id: createId('toolu'),
+        name: part.functionCall.name,
+        input: part.functionCall.args || {}
+      });
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Translate a Gemini generateContent response into an Anthropic message
+ */
+function toMessage(data, model) {
+  const candidate = data.candidates?.[0];
+  const content = partsToBlocks(candidate?.content?.parts);
+  const hasToolUse = content.some(block => block.type === 'tool_use');
+
+  return {
+    id: createId('msg'),
+    type: 'message',
+    role: 'assistant',
+    model,
+    content,
+    // A blocked prompt comes back without candidates
+    stop_reason: candidate ? toStopReason(candidate.finishReason, hasToolUse) : 'refusal',
+    stop_sequence: null,
+    usage: toUsage(data.usageMetadata)
+  };
+}
+
+/**
+ * Stateful translator from Gemini stream messages to Anthropic stream
+ * events. `push(message)` and `finish()` return `{ event, data }` pairs.
+ */
+class MessageStream {
+  constructor(model) {
+    this.id = createId('msg');
+    this.model = model;
+    this.started = false;
+    this.blockIndex = -1;
+    this.openBlock = null;
+    this.hasToolUse = false;
+    this.finishReason = null;
+    this.usageMetadata = null;
+  }
+
+  start(events) {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+    events.push({
+      event: 'message_start',
+      data: {
+        type: 'message_start',
+        message: {
+          id: this.id,
+          type: 'message',
+          role: 'assistant',
+          model: this.model,
+          content: [],
+          stop_reason: null,
+          stop_sequence: null,
+          usage: { ...toUsage(this.usageMetadata || {}), output_tokens: 0 }
+        }
+      }
+    });
+  }
+
+  closeBlock(events) {
+    if (this.openBlock) {
+      events.push({
+        event: 'content_block_stop',
+        data: { type: 'content_block_stop', index: this.blockIndex }
+      });
+      this.openBlock = null;
+    }
+  }
+
+  openNewBlock(events, contentBlock) {
+    this.closeBlock(events);
+    this.blockIndex++;
+    this.openBlock = contentBlock.type;
+    events.push({
+      event: 'content_block_start',
+      data: { type: 'content_block_start', index: this.blockIndex, content_block: contentBlock }
+    });
+  }
+
+  push(message) {
+    const events = [];
+    if (message.usageMetadata) {
+      this.usageMetadata = message.usageMetadata;
+    }
+    this.start(events);
+
+    // Only the first candidate maps onto an Anthropic message
+    const candidate = message.candidates?.[0];
+    for (const part of candidate?.content?.parts || []) {
+      if (typeof part.text === 'string' && !part.thought) {
+        if (!part.text) {
+          continue;
+        }
+        if (this.openBlock !== 'text') {
+          this.openNewBlock(events, { type: 'text', text: '' });
+        }
+        events.push({
+          event: 'content_block_delta',
+          data: {
+            type: 'content_block_delta',
+            index: this.blockIndex,
+            delta: { type: 'text_delta', text: part.text }
+          }
+        });
+      } else if (part.functionCall) {
+        // Gemini sends complete calls, so each one is a whole tool_use block
+        this.hasToolUse = true;
+        this.openNewBlock(events, {
+          type: 'tool_use',
+          id: createId('toolu'),
+          name: part.functionCall.name,
+          input: {}
+        });
+        events.push({
+          event: 'content_block_delta',
+          data: {
+            type: 'content_block_delta',
+            index: this.blockIndex,
+            delta: { type: 'input_json_delta', partial_json: JSON.stringify(part.functionCall.args || {}) }
+          }
+        });
+        this.closeBlock(events);
+      }
+    }
+
+    if (candidate?.finishReason) {
+      this.finishReason = candidate.finishReason;
+    }
+    return events;
+  }
+
+  finish() {
+    const events = [];
+    this.start(events);
+    this.closeBlock(events);
+    events.push({
+      event: 'message_delta',
+      data: {
+        type: 'message_delta',
+        delta: {
+          stop_reason: this.finishReason ? toStopReason(this.finishReason, this.hasToolUse) : 'end_turn',
+          stop_sequence: null
+        },
+        usage: toUsage(this.usageMetadata || {})
+      }
+    });
+    events.push({ event: 'message_stop', data: { type: 'message_stop' } });
+    return events;
+  }
+}
+
+/**
+ * Wrap a proxy error in the Anthropic error envelope
+ */
+function toAnthropicError(status, message) {
+  let type = 'api_error';
+  if (status === 400 || status === 422) {
+    type = 'invalid_request_error';
+  } else if (status === 401) {
+    type = 'authentication_error';
+  } else if (status === 403) {
+    type = 'permission_error';
+  } else if (status === 404) {
+    type = 'not_found_error';
+  } else if (status === 429) {
+    type = 'rate_limit_error';
+  } else if (status === 503 || status === 529) {
+    type = 'overloaded_error';
+  }
+
+  return {
+    type: 'error',
+    error: { type, message }
+  };
+}
+
+module.exports = {
+  toGeminiRequest,
+  toMessage,
+  MessageStream,
+  toAnthropicError
+};
@@ -0,0 +1,160 @@
+/**
+ * Helpers for describing Gemini REST calls from their URL path
+ */
+
+// Gemini model actions we meter, mapped to the request_type stored in api_usage
+const REQUEST_TYPES = {
+  generateContent: 'generate',
+  streamGenerateContent: 'stream',
+  countTokens: 'count_tokens',
+  embedContent: 'embedding',
+  batchEmbedContents: 'batch_embedding'
+};
+
+// Policy method category for each model action
+const ACTION_METHODS = {
+  generateContent: 'generate',
+  streamGenerateContent: 'generate',
+  countTokens: 'countTokens',
+  embedContent: 'embed',
+  batchEmbedContents: 'embed'
+};
+
+// usageMetadata fields beyond the prompt/candidates/total counts that pricing uses
+const PRICING_DETAIL_FIELDS = [
+  'cachedContentTokenCount',
+  'thoughtsTokenCount',
+  'toolUsePromptTokenCount',
+  'promptTokensDetails',
+  'cacheTokensDetails',
+  'candidatesTokensDetails',
+  'toolUsePromptTokensDetails'
+];
+
+const MODEL_PATH_PATTERN = /^\/(v1(?:alpha|beta)?)\/(?:models|tunedModels)\/([^/:?]+):([A-Za-z]+)/;
+
+/**
+ * Resolve dot segments (`/v1beta/./models/…`, `/x/../models/…`) the way
+ * fetch will before the request reaches Google, keeping the query string
+ */
+function normalizeGeminiPath(path) {
+  const url = new URL(path, 'http://localhost');
+  return `${url.pathname}${url.search}`;
+}
+
+/**
+ * Parse a Gemini API path such as `/v1beta/models/gemini-1.5-flash:generateContent?alt=sse`.
+ * The path is normalized first and returned as `path`, which is what
+ * must be forwarded, so the call Google serves is the one described.
+ * Every model action is billable, including ones we have no request type
+ * for, so none of them can skip the policy and limit checks.
+ */
+function parseGeminiPath(rawPath) {
+  const path = normalizeGeminiPath(rawPath);
+  const [pathname] = path.split('?');
+  const match = pathname.match(MODEL_PATH_PATTERN);
+
+  if (!match) {
+    return {
+      path,
+      apiVersion: null,
+      model: null,
+      action: null,
+      method: null,
+      requestType: null,
+      billable: false
+    };
+  }
+
+  const [, apiVersion, model, action] = match;
+
+  return {
+    path,
+    apiVersion,
+    model: decodeURIComponent(model),
+    action,
+    method: ACTION_METHODS[action] || null,
+    requestType: REQUEST_TYPES[action] || null,
+    billable: true
+  };
+}
+
+/**
+ * Rough token estimate for text (1 token ≈ 4 characters)
+ */
+function estimateTextTokens(text) {
+  return text ? Math.ceil(text.length / 4) : 0;
+}
+
+/**
+ * Collect every text part from a list of Gemini contents
+ */
+function collectText(contents) {
+  const texts = [];
+  const list = Array.isArray(contents) ? contents : [contents];
+
+  for (const content of list) {
+    if (content && Array.isArray(content.parts)) {
+      for (const part of content.parts) {
+        if (typeof part.text === 'string') {
+          texts.push(part.text);
+        }
+      }
+    }
+  }
+
+  return texts.join('');
+}
+
+/**
+ * Rough prompt token estimate for a Gemini request body
+ */
+function estimatePromptTokens(body = {}) {
+  let tokens = 0;
+
+  if (body.contents && Array.isArray(body.contents)) {
+    for (const content of body.contents) {
+      if (content.parts && Array.isArray(content.parts)) {
+        for (const part of content.parts) {
+          if (part.text) {
+            tokens += estimateTextTokens(part.text);
+          }
+          if (part.inlineData) {
+            // Images/files add significant tokens
+            tokens += 1000; // Conservative estimate
+          }
+        }
+      }
+    }
+  } else if (body.content) {
+    tokens = estimateTextTokens(collectText(body.content));
+  } else if (Array.isArray(body.requests)) {
+    tokens = estimateTextTokens(collectText(body.requests.map(request => request.content)));
+  } else if (body.prompt) {
+    tokens = estimateTextTokens(body.prompt);
+  }
+
+  return tokens;
+}
+
+/**
+ * Copy the pricing detail fields present in a Gemini usageMetadata
+ */
+function pickPricingDetails(usageMetadata = {}) {
+  return Object.fromEntries(
+    PRICING_DETAIL_FIELDS
+      .filter(field => usageMetadata[field] !== undefined)
+      .map(field => [field, usageMetadata[field]])
+  );
+}
+
+module.exports = {
+  REQUEST_TYPES,
+  ACTION_METHODS,
+  estimatePromptTokens,
+  normalizeGeminiPath,
+  parseGeminiPath,
+  estimateTextTokens,
+  collectText,
+  pickPricingDetails
+};
@@ -0,0 +1,271 @@
+const Joi = require('joi');
+
+/**
+ * joi schemas for the Gemini REST request bodies the proxy forwards. Gemini
+ * accepts both camelCase and snake_case field names, so every field is
+ * declared under both. Fields not listed here are passed through, so new
+ * API fields keep working before the schemas learn about them.
+ */
+
+// Gemini rejects requests whose inline data exceeds 20 MB; larger files
+// have to go through the File API and be sent as fileData
+const MAX_INLINE_DATA_BYTES = 20 * 1024 * 1024;
+
+// MIME types Gemini accepts as inline data
+const INLINE_DATA_MIME_TYPES = [
+  'image/png', 'image/jpeg', 'image/webp', 'image/heic', 'image/heif',
+  'audio/wav', 'audio/mp3', 'audio/mpeg', 'audio/aiff', 'audio/aac', 'audio/ogg', 'audio/flac',
+  'audio/pcm', 'audio/webm',
+  'video/mp4', 'video/mpeg', 'video/mov', 'video/quicktime', 'video/avi', 'video/x-flv',
+  'video/mpg', 'video/webm', 'video/wmv', 'video/3gpp',
+  'application/pdf', 'application/json', 'application/rtf', 'application/x-javascript',
+  'application/x-typescript', 'application/x-python-code',
+  'text/plain', 'text/html', 'text/css', 'text/csv', 'text/markdown', 'text/xml', 'text/rtf',
+  'text/javascript', 'text/x-typescript', 'text/x-python'
+];
+
+const HARM_BLOCK_THRESHOLDS = [
+  'HARM_BLOCK_THRESHOLD_UNSPECIFIED',
+  'BLOCK_LOW_AND_ABOVE',
+  'BLOCK_MEDIUM_AND_ABOVE',
+  'BLOCK_ONLY_HIGH',
+  'BLOCK_NONE',
+  'OFF'
+];
+
+const EMBEDDING_TASK_TYPES = [
+  'TASK_TYPE_UNSPECIFIED',
+  'RETRIEVAL_QUERY',
+  'RETRIEVAL_DOCUMENT',
+  'SEMANTIC_SIMILARITY',
+  'CLASSIFICATION',
+  'CLUSTERING',
+  'QUESTION_ANSWERING',
+  'FACT_VERIFICATION',
+  'CODE_RETRIEVAL_QUERY'
+];
+
+function snakeCase(key) {
+  return key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+}
+
+/**
+ * Declare each camelCase key under its snake_case name as well
+ */
+function fields(keys) {
+  return Object.fromEntries(Object.entries(keys).flatMap(([key, schema]) =>
+    snakeCase(key) === key ? [[key, schema]] : [[key, schema], [snakeCase(key), schema]]
+  ));
+}
+
+/**
+ * Both spellings of the given camelCase keys, for xor/or checks
+ */
+function spellings(...keys) {
+  return keys.flatMap(key => (snakeCase(key) === key ? [key] : [key, snakeCase(key)]));
+}
+
+/**
+ * Object schema that passes unknown fields through. A required field is
+ * satisfied by either of its spellings.
+ */
+function object(keys) {
+  const required = Object.keys(keys).filter(key =>
+    snakeCase(key) !== key && keys[key].describe().flags?.presence === 'required'
+  );
+  const optional = Object.fromEntries(Object.entries(keys).map(([key, schema]) =>
+    [key, required.includes(key) ? schema.optional() : schema]
+  ));
+
+  return required.reduce(
+    (schema, key) => schema.xor(key, snakeCase(key)),
+    Joi.object(fields(optional)).unknown(true)
+  );
+}
+
+/**
+ * Decoded size of a base64 string
+ */
+function base64Bytes(data) {
+  const padding = data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0;
+  return Math.floor(data.length * 3 / 4) - padding;
+}
+
+/**
+ * Total decoded inline data in a list of contents
+ */
+function inlineDataBytes(contents = []) {
+  let bytes = 0;
+  for (const content of contents) {
+    for (const part of content?.parts || []) {
+      const data = (part.inlineData || part.inline_data)?.data;
+      if (typeof data === 'string') {
+        bytes += base64Bytes(data);
+      }
+    }
+  }
+  return bytes;
+}
+
+const inlineDataSchema = object({
+  mimeType: Joi.string().lowercase().valid(...INLINE_DATA_MIME_TYPES).required()
+    .messages({ 'any.only': '{{#label}} is not a MIME type Gemini accepts as inline data' }),
+  data: Joi.string()
+    .base64({ paddingRequired: false })
+    .custom((value, helpers) =>
+      (base64Bytes(value) > MAX_INLINE_DATA_BYTES ? helpers.error('inlineData.size') : value))
+    .required()
+    .messages({
+      'inlineData.size': `{{#label}} must not exceed ${MAX_INLINE_DATA_BYTES / 1024 / 1024} MB; upload larger files with the File API`
+    })
+});
+
+const partSchema = object({
+  text: Joi.string().allow(''),
+  inlineData: inlineDataSchema,
+  fileData: object({
+    mimeType: Joi.string(),
+    fileUri: Joi.string().required()
+  }),
+  functionCall: object({
+    name: Joi.string().required(),
+    args: Joi.object()
+  }),
+  functionResponse: object({
+    name: Joi.string().required(),
+    response: Joi.object().required()
+  }),
+  executableCode: object({
+    language: Joi.string(),
+    code: Joi.string().required()
+  }),
+  codeExecutionResult: object({
+    outcome: Joi.string().required(),
+    output: Joi.string().allow('')
+  }),
+  thought: Joi.boolean(),
+  thoughtSignature: Joi.string()
+}).xor(...spellings(
+  'text',
+  'inlineData',
+  'fileData',
+  'functionCall',
+  'functionResponse',
+  'executableCode',
+  'codeExecutionResult'
+)).messages({
+  'object.missing': '{{#label}} must contain text, inlineData, fileData, functionCall, functionResponse, executableCode or codeExecutionResult',
+  'object.xor': '{{#label}} must contain only one of text, inlineData, fileData, functionCall, functionResponse, executableCode or codeExecutionResult'
+});
+
+const contentSchema = object({
+  role: Joi.string().valid('user', 'model', 'function'),
+  parts: Joi.array().items(partSchema).min(1).required()
+});
+
+const functionDeclarationSchema = object({
+  name: Joi.string()
+    .pattern(/^[A-Za-z_][A-Za-z0-9_.:-]{0,63}$/)
+    .required()
+    .messages({
+      'string.pattern.base': '{{#label}} must start with a letter or underscore and contain at most 64 letters, digits, underscores, dots, colons or dashes'
+    }),
+  description: Joi.string().allow(''),
+  parameters: Joi.object(),
+  parametersJsonSchema: Joi.object(),
+  response: Joi.object(),
+  responseJsonSchema: Joi.object()
+}).oxor(...spellings('parameters', 'parametersJsonSchema'));
+
+const toolSchema = object({
+  functionDeclarations: Joi.array().items(functionDeclarationSchema).min(1),
+  googleSearch: Joi.object(),
+  googleSearchRetrieval: Joi.object(),
+  codeExecution: Joi.object(),
+  urlContext: Joi.object()
+}).min(1);
+
+const toolConfigSchema = object({
+  functionCallingConfig: object({
+    mode: Joi.string().valid('MODE_UNSPECIFIED', 'AUTO', 'ANY', 'NONE', 'VALIDATED'),
+    allowedFunctionNames: Joi.array().items(Joi.string())
+  })
+});
+
+const safetySettingSchema = object({
+  category: Joi.string().pattern(/^HARM_CATEGORY_[A-Z_]+$/).required()
+    .messages({ 'string.pattern.base': '{{#label}} must be a HARM_CATEGORY_* value' }),
+  threshold: Joi.string().valid(...HARM_BLOCK_THRESHOLDS).required()
+});
+
+const generationConfigSchema = object({
+  temperature: Joi.number().min(0).max(2),
+  topP: Joi.number().min(0).max(1),
+  topK: Joi.number().integer().min(1),
+  candidateCount: Joi.number().integer().min(1).max(8),
+  maxOutputTokens: Joi.number().integer().min(1),
+  stopSequences: Joi.array().items(Joi.string()).max(5),
+  presencePenalty: Joi.number().min(-2).max(2),
+  frequencyPenalty: Joi.number().min(-2).max(2),
+  seed: Joi.number().integer(),
+  responseLogprobs: Joi.boolean(),
+  logprobs: Joi.number().integer().min(0).max(20),
+  responseMimeType: Joi.string().valid('text/plain', 'application/json', 'text/x.enum'),
+  responseSchema: Joi.object(),
+  responseJsonSchema: Joi.object(),
+  responseModalities: Joi.array().items(Joi.string().valid('TEXT', 'IMAGE', 'AUDIO')),
+  thinkingConfig: object({
+    includeThoughts: Joi.boolean(),
+    // -1 lets the model choose its own budget
+    thinkingBudget: Joi.number().integer().min(-1)
+  })
+}).oxor(...spellings('responseSchema', 'responseJsonSchema'));
+
+const generateContentSchema = object({
+  model: Joi.string(),
+  contents: Joi.array().items(contentSchema).min(1).required(),
+  systemInstruction: contentSchema,
+  tools: Joi.array().items(toolSchema),
+  toolConfig: toolConfigSchema,
+  safetySettings: Joi.array().items(safetySettingSchema),
+  generationConfig: generationConfigSchema,
+  cachedContent: Joi.string()
+}).custom((value, helpers) => {
+  const systemInstruction = value.systemInstruction || value.system_instruction;
+  const bytes = inlineDataBytes(value.contents) + inlineDataBytes(systemInstruction ? [systemInstruction] : []);
+  return bytes > MAX_INLINE_DATA_BYTES ? helpers.error('inlineData.total') : value;
+}).messages({
+  'inlineData.total': `Inline data in a request must not exceed ${MAX_INLINE_DATA_BYTES / 1024 / 1024} MB in total; upload larger files with the File API`
+});
+
+const countTokensSchema = object({
+  contents: Joi.array().items(contentSchema).min(1),
+  generateContentRequest: generateContentSchema
+}).xor(...spellings('contents', 'generateContentRequest'));
+
+const embedContentSchema = object({
+  model: Joi.string(),
+  content: contentSchema.required(),
+  taskType: Joi.string().valid(...EMBEDDING_TASK_TYPES),
+  title: Joi.string(),
+  outputDimensionality: Joi.number().integer().min(1)
+});
+
+const batchEmbedContentsSchema = object({
+  requests: Joi.array().items(embedContentSchema).min(1).required()
+});
+
+// Request body schema for each metered model action, reporting every
+// problem rather than the first
+const GEMINI_BODY_SCHEMAS = Object.fromEntries(Object.entries({
+  generateContent: generateContentSchema,
+  streamGenerateContent: generateContentSchema,
+  countTokens: countTokensSchema,
+  embedContent: embedContentSchema,
+  batchEmbedContents: batchEmbedContentsSchema
+}).map(([action, schema]) => [action, schema.label('body').prefs({ abortEarly: false })]));
+
+module.exports = {
+  MAX_INLINE_DATA_BYTES,
+  GEMINI_BODY_SCHEMAS
+};
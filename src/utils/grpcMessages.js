@@ -0,0 +1,191 @@
+/**
+ * Conversions between GenerativeService protobuf messages (as decoded by
+ * @grpc/proto-loader with camelCase keys and string enums) and the Gemini
+ * REST JSON bodies. The shapes match apart from `google.protobuf.Struct`
+ * fields, which REST sends as plain objects, and `bytes` fields, which REST
+ * sends as base64 strings.
+ */
+
+function structValueToJs(value = {}) {
+  if (value.structValue !== undefined) {
+    return structToObject(value.structValue);
+  }
+  if (value.listValue !== undefined) {
+    return (value.listValue.values || []).map(structValueToJs);
+  }
+  if (value.numberValue !== undefined) {
+    return value.numberValue;
+  }
+  if (value.stringValue !== undefined) {
+    return value.stringValue;
+  }
+  if (value.boolValue !== undefined) {
+    return value.boolValue;
+  }
+  return null;
+}
+
+function structToObject(struct) {
+  return Object.fromEntries(
+    Object.entries(struct?.fields || {}).map(([key, value]) => [key, structValueToJs(value)])
+  );
+}
+
+function jsToStructValue(value) {
+  if (value === null || value === undefined) {
+    return { nullValue: 'NULL_VALUE' };
+  }
+  if (Array.isArray(value)) {
+    return { listValue: { values: value.map(jsToStructValue) } };
+  }
+  switch (typeof value) {
+    case 'object':
+      return { structValue: objectToStruct(value) };
+    case 'number':
+      return { numberValue: value };
+    case 'boolean':
+      return { boolValue: value };
+    default:
+      return { stringValue: String(value) };
+  }
+}
+
+function objectToStruct(object) {
+  return {
+    fields: Object.fromEntries(
+      Object.entries(object || {}).map(([key, value]) => [key, jsToStructValue(value)])
+    )
+  };
+}
+
+function toBase64(data) {
+  return Buffer.isBuffer(data) || data instanceof Uint8Array
+    ? Buffer.from(data).toString('base64')
+    : data;
+}
+
+function partToRest(part) {
+  const result = { ...part };
+  if (part.inlineData) {
+    result.inlineData = { ...part.inlineData, data: toBase64(part.inlineData.data) };
+  }
+  if (part.thoughtSignature) {
+    result.thoughtSignature = toBase64(part.thoughtSignature);
+  }
+  if (part.functionCall) {
+    result.functionCall = { ...part.functionCall, args: structToObject(part.functionCall.args) };
+  }
+  if (part.functionResponse) {
+    result.functionResponse = {
+      ...part.functionResponse,
+      response: structToObject(part.functionResponse.response)
+    };
+  }
+  return result;
+}
+
+function partToGrpc(part) {
+  const result = { ...part };
+  if (part.inlineData?.data) {
+    result.inlineData = { ...part.inlineData, data: Buffer.from(part.inlineData.data, 'base64') };
+  }
+  if (part.thoughtSignature) {
+    result.thoughtSignature = Buffer.from(part.thoughtSignature, 'base64');
+  }
+  if (part.functionCall) {
+    result.functionCall = { ...part.functionCall, args: objectToStruct(part.functionCall.args) };
+  }
+  if (part.functionResponse) {
+    result.functionResponse = {
+      ...part.functionResponse,
+      response: objectToStruct(part.functionResponse.response)
+    };
+  }
+  return result;
+}
+
+function contentToRest(content) {
+  return content && { ...content, parts: (content.parts || []).map(partToRest) };
+}
+
+function contentToGrpc(content) {
+  return content && { ...content, parts: (content.parts || []).map(partToGrpc) };
+}
+
+/**
+ * Model resource names arrive as `models/<id>`; the proxy keys on the bare id
+ */
+function modelId(model = '') {
+  return model.replace(/^(models|tunedModels)\//, '');
+}
+
+/**
+ * Build the REST body for GenerateContent / StreamGenerateContent
+ */
+function toRestGenerateRequest(request = {}) {
+  const { model, contents, systemInstruction, ...rest } = request;
+  const body = {
+    ...rest,
+    contents: (contents || []).map(contentToRest)
+  };
+  if (systemInstruction) {
+    body.systemInstruction = contentToRest(systemInstruction);
+  }
+  return body;
+}
+
+/**
+ * Build the REST body for CountTokens
+ */
+function toRestCountTokensRequest(request = {}) {
+  if (request.generateContentRequest) {
+    return {
+      generateContentRequest: {
+        ...toRestGenerateRequest(request.generateContentRequest),
+        model: request.generateContentRequest.model || request.model
+      }
+    };
+  }
+  return { contents: (request.contents || []).map(contentToRest) };
+}
+
+function toRestEmbedRequest(request = {}, model) {
+  return {
+    ...request,
+    model: request.model || model,
+    content: contentToRest(request.content)
+  };
+}
+
+/**
+ * Build the REST body for BatchEmbedContents; each entry needs its model
+ */
+function toRestBatchEmbedRequest(request = {}) {
+  return {
+    requests: (request.requests || []).map(entry => toRestEmbedRequest(entry, request.model))
+  };
+}
+
+/**
+ * Convert a REST GenerateContentResponse (or stream chunk) into its protobuf shape
+ */
+function toGrpcGenerateResponse(data = {}) {
+  return {
+    ...data,
+    candidates: (data.candidates || []).map(candidate => ({
+      ...candidate,
+      content: contentToGrpc(candidate.content)
+    }))
+  };
+}
+
+module.exports = {
+  structToObject,
+  objectToStruct,
+  modelId,
+  toRestGenerateRequest,
+  toRestCountTokensRequest,
+  toRestEmbedRequest,
+  toRestBatchEmbedRequest,
+  toGrpcGenerateResponse
+};
@@ -0,0 +1,643 @@
+const { v4: uuidv4 } = require('uuid');
+
+// JSON Schema keywords Gemini's OpenAPI-subset schema does not accept
+const UNSUPPORTED_SCHEMA_KEYS = ['$schema', '$id', '$ref', '$defs', 'definitions', 'additionalProperties', 'strict', 'examples', 'default'];
+
+const FINISH_REASONS = {
+  STOP: 'stop',
+  MAX_TOKENS: 'length',
+  SAFETY: 'content_filter',
+  RECITATION: 'content_filter',
+  BLOCKLIST: 'content_filter',
+  PROHIBITED_CONTENT: 'content_filter',
+  SPII: 'content_filter',
+  IMAGE_SAFETY: 'content_filter'
+};
+
+const IMAGE_MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  heic: 'image/heic',
+  heif: 'image/heif'
+};
+
+/**
+ * Error raised for OpenAI-format requests that cannot be translated
+ */
+class TranslationError extends Error {
+  constructor(message, param) {
+    super(message);
+    this.name = 'TranslationError';
+    this.param = param;
+  }
+}
+
+/**
+ * Strip `models/` style prefixes so `models/gemini-1.5-flash` and
+ * `gemini-1.5-flash` address the same model
+ */
+function normalizeModelName(model) {
+  return String(model).replace(/^models\//, '');
+}
+
+/**
+ * Reduce a JSON Schema to the subset Gemini function declarations accept
+ */
+function sanitizeSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(sanitizeSchema);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (UNSUPPORTED_SCHEMA_KEYS.includes(key)) {
+      continue;
+    }
+    if (key === 'properties' && value && typeof value === 'object') {
+      result.properties = Object.fromEntries(
+        Object.entries(value).map(([name, property]) => [name, sanitizeSchema(property)])
+      );
+    } else {
+      result[key] = sanitizeSchema(value);
+    }
+  }
+  return result;
+}
+
+/**
+ * Convert an OpenAI `image_url` content part into a Gemini part
+ */
+function imageUrlToPart(imageUrl) {
+  const url = typeof imageUrl === 'string' ? imageUrl : imageUrl?.url;
+  if (!url) {
+    throw new TranslationError('image_url content parts require a url', 'messages');
+  }
+
+  const dataUrl = url.match(/^data:([^;,]+);base64,(.*)$/s);
+  if (dataUrl) {
+    return { inlineData: { mimeType: dataUrl[1], data: dataUrl[2] } };
+  }
+
+  const extension = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+  return {
+    fileData: {
+      mimeType: IMAGE_MIME_TYPES[extension] || 'image/jpeg',
+      fileUri: url
+    }
+  };
+}
+
+/**
+ * Convert OpenAI message content (string or content-part array) into Gemini parts
+ */
+function contentToParts(content) {
+  if (content === null || content === undefined) {
+    return [];
+  }
+  if (typeof content === 'string') {
+    return content ? [{ text: content }] : [];
+  }
+  if (!Array.isArray(content)) {
+    throw new TranslationError('Message content must be a string or an array of content parts', 'messages');
+  }
+
+  return content.map((part) => {
+    switch (part.type) {
+      case 'text':
+        return { text: part.text };
+      case 'image_url':
+        return imageUrlToPart(part.image_url);
+      case 'input_audio':
+        return {
+          inlineData: {
+            mimeType: `audio/${part.input_audio?.format || 'wav'}`,
+            data: part.input_audio?.data
+          }
+        };
+      default:
+        throw new TranslationError(`Unsupported content part type: ${part.type}`, 'messages');
+    }
+  });
+}
+
+/**
+ * Parse a tool message body into a functionResponse payload, which must be an object
+ */
+function toolResultToResponse(content) {
+  const text = typeof content === 'string'
+    ? content
+    : contentToParts(content).map(part => part.text || '').join('');
+
+  try {
+    const parsed = JSON.parse(text);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      return parsed;
+    }
+  } catch (error) {
+    // Plain-text tool output
+  }
+  return { content: text };
+}
+
+function parseToolArguments(toolCall) {
+  const args = toolCall.function?.arguments;
+  if (!args) {
+    return {};
+  }
+  if (typeof args === 'object') {
+    return args;
+  }
+  try {
+    return JSON.parse(args);
+  } catch (error) {
+    throw new TranslationError(`Tool call ${toolCall.id} has invalid JSON arguments`, 'messages');
+  }
+}
+
+/**
+ * Convert the OpenAI messages array into Gemini contents and systemInstruction
+ */
+function translateMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new TranslationError('messages must be a non-empty array', 'messages');
+  }
+
+  const systemParts = [];
+  const contents = [];
+  const toolNames = new Map();
+
+  const append = (role, parts) => {
+    if (parts.length === 0) {
+      return;
+    }
+    const previous = contents[contents.length - 1];
+    // Gemini expects alternating turns, so merge consecutive same-role messages
+    if (previous && previous.role === role) {
+      previous.parts.push(...parts);
+    } else {
+      contents.push({ role, parts });
+    }
+  };
+
+  for (const message of messages) {
+    switch (message.role) {
+      case 'system':
+      case 'developer':
+        systemParts.push(...contentToParts(message.content));
+        break;
+      case 'user':
+        append('user', contentToParts(message.content));
+        break;
+      case 'assistant': {
+        const parts = contentToParts(message.content);
+        for (const toolCall of message.tool_calls || []) {
+          toolNames.set(toolCall.id, toolCall.function?.name);
+          parts.push({
+            functionCall: {
+              name: toolCall.function?.name,
+              args: parseToolArguments(toolCall)
+            }
+          });
+        }
+        append('model', parts);
+        break;
+      }
+      case 'tool': {
+        const name = toolNames.get(message.tool_call_id) || message.name;
+        if (!name) {
+          throw new TranslationError(`No assistant tool call matches tool_call_id ${message.tool_call_id}`, 'messages');
+        }
+        append('user', [{
+          functionResponse: {
+            name,
+            response: toolResultToResponse(message.content)
+          }
+        }]);
+        break;
+      }
+      default:
+        throw new TranslationError(`Unsupported message role: ${message.role}`, 'messages');
+    }
+  }
+
+  if (contents.length === 0) {
+    throw new TranslationError('messages must include at least one user or assistant message', 'messages');
+  }
+
+  return {
+    contents,
+    systemInstruction: systemParts.length > 0 ? { parts: systemParts } : undefined
+  };
+}
+
+function translateTools(tools) {
+  const declarations = tools
+    .filter(tool => tool.type === 'function')
+    .map(({ function: fn }) => {
+      const declaration = { name: fn.name };
+      if (fn.description) {
+        declaration.description = fn.description;
+      }
+      if (fn.parameters && Object.keys(fn.parameters.properties || {}).length > 0) {
+        declaration.parameters = sanitizeSchema(fn.parameters);
+      }
+      return declaration;
+    });
+
+  return declarations.length > 0 ? [{ functionDeclarations: declarations }] : undefined;
+}
+
+function translateToolChoice(toolChoice) {
+  if (toolChoice === 'none') {
+    return { functionCallingConfig: { mode: 'NONE' } };
+  }
+  if (toolChoice === 'required') {
+    return { functionCallingConfig: { mode: 'ANY' } };
+  }
+  if (toolChoice?.type === 'function') {
+    return {
+      functionCallingConfig: {
+        mode: 'ANY',
+        allowedFunctionNames: [toolChoice.function.name]
+      }
+    };
+  }
+  return { functionCallingConfig: { mode: 'AUTO' } };
+}
+
+function translateGenerationConfig(body) {
+  const generationConfig = {};
+
+  if (body.temperature !== undefined && body.temperature !== null) {
+    generationConfig.temperature = body.temperature;
+  }
+  if (body.top_p !== undefined && body.top_p !== null) {
+    generationConfig.topP = body.top_p;
+  }
+  const maxTokens = body.max_completion_tokens ?? body.max_tokens;
+  if (maxTokens !== undefined && maxTokens !== null) {
+    generationConfig.maxOutputTokens = maxTokens;
+  }
+  if (body.n !== undefined && body.n !== null) {
+    generationConfig.candidateCount = body.n;
+  }
+  if (body.stop) {
+    generationConfig.stopSequences = Array.isArray(body.stop) ? body.stop : [body.stop];
+  }
+  if (body.presence_penalty !== undefined && body.presence_penalty !== null) {
+    generationConfig.presencePenalty = body.presence_penalty;
+  }
+  if (body.frequency_penalty !== undefined && body.frequency_penalty !== null) {
+    generationConfig.frequencyPenalty = body.frequency_penalty;
+  }
+  if (body.seed !== undefined && body.seed !== null) {
+    generationConfig.seed = body.seed;
+  }
+
+  const responseFormat = body.response_format;
+  if (responseFormat?.type === 'json_object') {
+    generationConfig.responseMimeType = 'application/json';
+  } else if (responseFormat?.type === 'json_schema') {
+    generationConfig.responseMimeType = 'application/json';
+    if (responseFormat.json_schema?.schema) {
+      generationConfig.responseSchema = sanitizeSchema(responseFormat.json_schema.schema);
+    }
+  }
+
+  return Object.keys(generationConfig).length > 0 ? generationConfig : undefined;
+}
+
+/**
+ * Translate an OpenAI chat-completions request into a Gemini
+ * generateContent request. Returns `{ model, stream, includeUsage, body }`.
+ */
+function toGeminiRequest(body) {
+  if (!body || typeof body !== 'object') {
+    throw new TranslationError('Request body must be a JSON object');
+  }
+  if (!body.model) {
+    throw new TranslationError('model is required', 'model');
+  }
+
+  const { contents, systemInstruction } = translateMessages(body.messages);
+  const geminiBody = { contents };
+
+  if (systemInstruction) {
+    geminiBody.systemInstruction = systemInstruction;
+  }
+
+  if (Array.isArray(body.tools) && body.tools.length > 0) {
+    geminiBody.tools = translateTools(body.tools);
+    if (body.tool_choice) {
+      geminiBody.toolConfig = translateToolChoice(body.tool_choice);
+    }
+  }
+
+  const generationConfig = translateGenerationConfig(body);
+  if (generationConfig) {
+    geminiBody.generationConfig = generationConfig;
+  }
+
+  return {
+    model: normalizeModelName(body.model),
+    stream: body.stream === true,
+    includeUsage: body.stream_options?.include_usage === true,
+    body: geminiBody
+  };
+}
+
+function toFinishReason(candidate, hasToolCalls) {
+  if (!candidate.finishReason) {
+    return null;
+  }
+  if (hasToolCalls && candidate.finishReason === 'STOP') {
+    return 'tool_calls';
+  }
+  return FINISH_REASONS[candidate.finishReason] || 'stop';
+}
+
+/**
+ * Split a Gemini candidate into its text and OpenAI tool calls
+ */
+function readCandidate(candidate) {
+  let text = '';
+  const toolCalls = [];
+
+  for (const part of candidate.content?.parts || []) {
+    // Thought summaries are not part of the visible answer
+    if (typeof part.text === 'string' && !part.thought) {
+      text += part.text;
+    } else if (part.functionCall) {
+      toolCalls.push({
+        id: `call_${uuidv4().replace(/-/g, '').slice(0, 24)}`,
+        type: 'function',
+        function: {
+          name: part.functionCall.name,
+          arguments: JSON.stringify(part.functionCall.args || {})
+        }
+      });
+    }
+  }
+
+  return { text, toolCalls };
+}
+
+/**
+ * Convert Gemini usageMetadata into an OpenAI usage object
+ */
+function toUsage(usageMetadata = {}) {
+  const promptTokens = usageMetadata.promptTokenCount || 0;
+  const completionTokens = (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0);
+  const usage = {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: usageMetadata.totalTokenCount || promptTokens + completionTokens
+  };
+
+  if (usageMetadata.cachedContentTokenCount) {
+    usage.prompt_tokens_details = { cached_tokens: usageMetadata.cachedContentTokenCount };
+  }
+  if (usageMetadata.thoughtsTokenCount) {
+    usage.completion_tokens_details = { reasoning_tokens: usageMetadata.thoughtsTokenCount };
+  }
+  return usage;
+}
+
+function createCompletionId() {
+  return `chatcmpl-${uuidv4().replace(/-/g, '')}`;
+}
+
+/**
+ * Translate a Gemini generateContent response into an OpenAI chat completion
+ */
+function toChatCompletion(data, model, id = createCompletionId()) {
+  const choices = (data.candidates || []).map((candidate, position) => {
+    const { text, toolCalls } = readCandidate(candidate);
+    const message = {
+      role: 'assistant',
+      content: text || (toolCalls.length > 0 ? null : '')
+    };
+    if (toolCalls.length > 0) {
+      message.tool_calls = toolCalls;
+    }
+    return {
+      index: candidate.index ?? position,
+      message,
+      finish_reason: toFinishReason(candidate, toolCalls.length > 0) || 'stop'
+    };
+  });
+
+  // A blocked prompt comes back without candidates
+  if (choices.length === 0 && data.promptFeedback?.blockReason) {
+    choices.push({
+      index: 0,
+      message: { role: 'assistant', content: null, refusal: `Prompt blocked: ${data.promptFeedback.blockReason}` },
+      finish_reason: 'content_filter'
+    });
+  }
+
+  return {
+    id,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices,
+    usage: toUsage(data.usageMetadata)
+  };
+}
+
+/**
+ * Stateful translator from Gemini stream messages to OpenAI
+ * `chat.completion.chunk` objects. Call `push(message)` for each parsed
+ * Gemini message and `finish()` once the stream ends.
+ */
+class ChatCompletionStream {
+  constructor(model, { includeUsage = false } = {}) {
+    this.id = createCompletionId();
+    this.created = Math.floor(Date.now() / 1000);
+    this.model = model;
+    this.includeUsage = includeUsage;
+    this.usageMetadata = null;
+    this.choices = new Map();
+  }
+
+  chunk(choices, extra = {}) {
+    return {
+      id: this.id,
+      object: 'chat.completion.chunk',
+      created: this.created,
+      model: this.model,
+      choices,
+      ...extra
+    };
+  }
+
+  push(message) {
+    const chunks = [];
+    if (message.usageMetadata) {
+      this.usageMetadata = message.usageMetadata;
+    }
+
+    for (const [position, candidate] of (message.candidates || []).entries()) {
+      const index = candidate.index ?? position;
+      let state = this.choices.get(index);
+      const delta = {};
+
+      if (!state) {
+        state = { toolCallCount: 0, finished: false };
+        this.choices.set(index, state);
+        delta.role = 'assistant';
+      }
+
+      const { text, toolCalls } = readCandidate(candidate);
+      if (text || delta.role) {
+        delta.content = text;
+      }
+      if (toolCalls.length > 0) {
+        delta.tool_calls = toolCalls.map(toolCall => ({ index: state.toolCallCount++, ...toolCall }));
+      }
+
+      const finishReason = toFinishReason(candidate, state.toolCallCount > 0);
+      if (finishReason) {
+        state.finished = true;
+      }
+
+      if (Object.keys(delta).length > 0 || finishReason) {
+        chunks.push(this.chunk([{ index, delta, finish_reason: finishReason }]));
+      }
+    }
+
+    return chunks;
+  }
+
+  finish() {
+    const chunks = [];
+    for (const [index, state] of this.choices) {
+      if (!state.finished) {
+        chunks.push(this.chunk([{ index, delta: {}, finish_reason: 'stop' }]));
+      }
+    }
+    if (this.includeUsage) {
+      chunks.push(this.chunk([], { usage: toUsage(this.usageMetadata || {}) }));
+    }
+    return chunks;
+  }
+}
+
+/**
+ * Translate an OpenAI embeddings request into a Gemini batchEmbedContents
+ * request. Returns `{ model, encodingFormat, body }`.
+ */
+function toGeminiEmbeddingRequest(body) {
+  if (!body || typeof body !== 'object') {
+    throw new TranslationError('Request body must be a JSON object');
+  }
+  if (!body.model) {
+    throw new TranslationError('model is required', 'model');
+  }
+
+  const inputs = Array.isArray(body.input) ? body.input : [body.input];
+  if (inputs.length === 0 || inputs.some(input => typeof input !== 'string' || input === '')) {
+    // Token-id arrays cannot be decoded without the OpenAI tokenizer
+    throw new TranslationError('input must be a non-empty string or an array of non-empty strings', 'input');
+  }
+
+  if (body.dimensions !== undefined && (!Number.isInteger(body.dimensions) || body.dimensions < 1)) {
+    throw new TranslationError('dimensions must be a positive integer', 'dimensions');
+  }
+
+  const encodingFormat = body.encoding_format || 'float';
+  if (!['float', 'base64'].includes(encodingFormat)) {
+    throw new TranslationError('encoding_format must be float or base64', 'encoding_format');
+  }
+
+  const model = normalizeModelName(body.model);
+  const requests = inputs.map((input) => {
+    const request = {
+      model: `models/${model}`,
+      content: { parts: [{ text: input }] }
+    };
+    if (body.dimensions !== undefined) {
+      request.outputDimensionality = body.dimensions;
+    }
+    return request;
+  });
+
+  return {
+    model,
+    encodingFormat,
+    body: { requests }
+  };
+}
+
+function encodeEmbedding(values, encodingFormat) {
+  if (encodingFormat !== 'base64') {
+    return values;
+  }
+  return Buffer.from(new Float32Array(values).buffer).toString('base64');
+}
+
+/**
+ * Translate Gemini embeddings into an OpenAI embeddings list
+ */
+function toEmbeddingList(data, model, encodingFormat = 'float') {
+  const promptTokens = data.usageMetadata?.promptTokenCount || 0;
+
+  return {
+    object: 'list',
+    data: (data.embeddings || []).map((embedding, index) => ({
+      object: 'embedding',
+      index,
+      embedding: encodeEmbedding(embedding.values || [], encodingFormat)
+    })),
+    model,
+    usage: {
+      prompt_tokens: promptTokens,
+      total_tokens: data.usageMetadata?.totalTokenCount || promptTokens
+    }
+  };
+}
+
+/**
+ * Wrap a proxy error in the OpenAI error envelope
+ */
+function toOpenAIError(status, message, { code = null, param = null } = {}) {
+  let type = 'api_error';
+  if (status === 400 || status === 404 || status === 422) {
+    type = 'invalid_request_error';
+  } else if (status === 401) {
+    type = 'authentication_error';
+  } else if (status === 403) {
+    type = 'permission_error';
+  } else if (status === 429) {
+    type = 'rate_limit_error';
+  }
+
+  return {
+    error: {
+      message,
+      type,
+      param,
+      code
+    }
+  };
+}
+
+module.exports = {
+  TranslationError,
+  normalizeModelName,
+  sanitizeSchema,
+  toGeminiRequest,
+  toChatCompletion,
+  toUsage,
+  ChatCompletionStream,
+  toGeminiEmbeddingRequest,
+  toEmbeddingList,
+  toOpenAIError
+};
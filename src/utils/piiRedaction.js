@@ -0,0 +1,284 @@
+const { Transform } = require('stream');
+const { GeminiStreamParser } = require('./streamUsageTap');
+
+/**
+ * Detection and masking of personal data and secrets in Gemini request
+ * text. Masked values become numbered placeholders such as `[EMAIL_1]`;
+ * the same value gets the same placeholder throughout a request, so the
+ * originals can be put back into the response.
+ */
+
+// Checked in this order, each on text already masked by the ones before,
+// so a card number is not also counted as a phone number
+const DETECTORS = [
+  {
+    type: 'api_key',
+    label: 'API_KEY',
+    pattern: new RegExp([
+      'AIza[0-9A-Za-z_-]{35}',
+      'sk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}',
+      '(?:AKIA|ASIA)[0-9A-Z]{16}',
+      'gh[pousr]_[A-Za-z0-9]{36,}',
+      'github_pat_[A-Za-z0-9_]{22,}',
+      'xox[abprs]-[A-Za-z0-9-]{10,}',
+      '[rs]k_(?:live|test)_[A-Za-z0-9]{16,}'
+    ].map(pattern => `\\b${pattern}`).join('|'), 'g')
+  },
+  {
+    type: 'email',
+    label: 'EMAIL',
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g
+  },
+  {
+    type: 'credit_card',
+    label: 'CREDIT_CARD',
+    pattern: /(?<![+\d]|\d[ -])\d(?:[ -]?\d){12,18}(?!\d|[ -]\d)/g,
+    accept: value => luhnValid(value.replace(/\D/g, ''))
+  },
+  {
+    type: 'phone',
+    label: 'PHONE',
+    pattern: /(?<![\w+]|\d[ .-])(?:\+\d{8,15}|(?:\+\d{1,3}[ .-]?)?(?:\(\d{2,4}\)[ .-]?|\d{2,4}[ .-])\d{3,4}[ .-]?\d{3,4})(?!\w|[ .-]\d)/g
+  }
+];
+
+const PLACEHOLDER_PATTERN = new RegExp(`\\[(?:${DETECTORS.map(detector => detector.label).join('|')})_\\d+\\]`, 'g');
+
+// The start of a placeholder cut off at the end of a streamed text part
+const PARTIAL_PLACEHOLDER_PATTERN = /\[[A-Z0-9_]{0,20}$/;
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Every content object in a Gemini request body, whichever action it is for
+ */
+function bodyContents(body) {
+  if (!body || typeof body !== 'object') {
+    return [];
+  }
+
+  const nested = body.generateContentRequest || body.generate_content_request;
+  return [
+    ...(Array.isArray(body.contents) ? body.contents : []),
+    body.systemInstruction || body.system_instruction,
+    body.content,
+    ...(Array.isArray(body.requests) ? body.requests.map(request => request?.content) : []),
+    ...(nested ? bodyContents(nested) : [])
+  ].filter(content => content && Array.isArray(content.parts));
+}
+
+/**
+ * Find personal data in the text parts of a Gemini request body. With
+ * `mask`, each match in the body is replaced by its placeholder.
+ * Returns `{ counts, total, placeholders }`, where `counts` maps each
+ * detected type to its number of matches and `placeholders` maps each
+ * placeholder to the value it replaced.
+ */
+function redactBody(body, { mask = false } = {}) {
+  const counts = {};
+  const placeholders = {};
+  const assigned = new Map();
+  const sequences = {};
+  let total = 0;
+
+  for (const content of bodyContents(body)) {
+    for (const part of content.parts) {
+      if (typeof part?.text !== 'string' || !part.text) {
+        continue;
+      }
+
+      let text = part.text;
+      for (const detector of DETECTORS) {
+        text = text.replace(detector.pattern, (value) => {
+          if (detector.accept && !detector.accept(value)) {
+            return value;
+          }
+
+          counts[detector.type] = (counts[detector.type] || 0) + 1;
+          total++;
+
+          const key = `${detector.type}:${value}`;
+          if (!assigned.has(key)) {
+            sequences[detector.type] = (sequences[detector.type] || 0) + 1;
+            const placeholder = `[${detector.label}_${sequences[detector.type]}]`;
+            assigned.set(key, placeholder);
+            placeholders[placeholder] = value;
+          }
+          return assigned.get(key);
+        });
+      }
+
+      if (mask) {
+        part.text = text;
+      }
+    }
+  }
+
+  return { counts, total, placeholders };
+}
+
+/**
+ * Put the original values back in place of their placeholders
+ */
+function restoreText(text, placeholders) {
+  return text.replace(PLACEHOLDER_PATTERN, placeholder => placeholders[placeholder] ?? placeholder);
+}
+
+/**
+ * Copy of a JSON value with placeholders restored in every string
+ */
+function restoreValue(value, placeholders) {
+  if (typeof value === 'string') {
+    return restoreText(value, placeholders);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => restoreValue(item, placeholders));
+  }
+  if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, restoreValue(item, placeholders)]));
+  }
+  return value;
+}
+
+/**
+ * Restores placeholders in a stream of Gemini responses. Each candidate's
+ * text is treated as one running string, so a placeholder the model
+ * splits across parts or events is held back until the rest of it
+ * arrives, and released with the candidate's last event at the latest.
+ */
+class StreamRestorer {
+  constructor(placeholders) {
+    this.placeholders = placeholders;
+    // Held back text by candidate index
+    this.pending = new Map();
+  }
+
+  /**
+   * Copy of a streamed Gemini response with placeholders restored
+   */
+  restore(message) {
+    const restored = restoreValue(message, this.placeholders);
+    if (Array.isArray(message?.candidates)) {
+      restored.candidates = message.candidates.map((candidate, position) => this.restoreCandidate(candidate, position));
+    }
+    return restored;
+  }
+
+  restoreCandidate(candidate, position) {
+    const restored = restoreValue(candidate, this.placeholders);
+    const parts = candidate?.content?.parts;
+    if (!Array.isArray(parts)) {
+      return restored;
+    }
+
+    const index = candidate.index ?? position;
+    restored.content.parts = parts.map(part => (typeof part?.text === 'string'
+      ? { ...restoreValue(part, this.placeholders), text: this.write(index, part.text) }
+      : restoreValue(part, this.placeholders)));
+
+    if (candidate.finishReason) {
+      const rest = this.take(index);
+      const last = restored.content.parts.filter(part => typeof part?.text === 'string').pop();
+      if (last) {
+        last.text += rest;
+      } else if (rest) {
+        restored.content.parts.push({ text: rest });
+      }
+    }
+    return restored;
+  }
+
+  write(index, text) {
+    const buffered = (this.pending.get(index) || '') + text;
+    const partial = buffered.search(PARTIAL_PLACEHOLDER_PATTERN);
+    this.pending.set(index, partial === -1 ? '' : buffered.slice(partial));
+    return restoreText(partial === -1 ? buffered : buffered.slice(0, partial), this.placeholders);
+  }
+
+  take(index) {
+    const text = this.pending.get(index) || '';
+    this.pending.delete(index);
+    return restoreText(text, this.placeholders);
+  }
+
+  /**
+   * A final response carrying text still held back when the stream ended
+   * without a finish reason, or null when there is none
+   */
+  end() {
+    const candidates = [...this.pending.keys()]
+      .map(index => ({ index, content: { role: 'model', parts: [{ text: this.take(index) }] } }))
+      .filter(candidate => candidate.content.parts[0].text);
+    return candidates.length > 0 ? { candidates } : null;
+  }
+}
+
+/**
+ * Transform for a raw Gemini stream body (SSE or chunked JSON array) that
+ * restores placeholders in each parsed response with `restorer` and
+ * writes it back out in the same format
+ */
+function createRestoreStream(restorer) {
+  let output = [];
+  let sent = 0;
+  const parser = new GeminiStreamParser((message) => {
+    output.push(restorer.restore(message));
+  });
+
+  const serialize = (message) => {
+    const json = JSON.stringify(message);
+    if (parser.format === 'sse') {
+      return `data: ${json}\r\n\r\n`;
+    }
+    return `${sent++ === 0 ? '[' : ',\r\n'}${json}`;
+  };
+
+  const drain = (stream) => {
+    for (const message of output) {
+      stream.push(serialize(message));
+    }
+    output = [];
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      parser.write(chunk);
+      drain(this);
+      callback();
+    },
+    flush(callback) {
+      parser.end();
+      const rest = restorer.end();
+      if (rest) {
+        output.push(rest);
+      }
+      drain(this);
+      if (parser.format === 'json') {
+        this.push(sent === 0 ? '[]' : ']');
+      }
+      callback();
+    }
+  });
+}
+
+module.exports = {
+  PII_TYPES: DETECTORS.map(detector => detector.type),
+  redactBody,
+  restoreText,
+  restoreValue,
+  StreamRestorer,
+  createRestoreStream
+};
@@ -0,0 +1,31 @@
+const { pipeline } = require('stream');
+
+/**
+ * Send a Gemini stream to the client through a translating transform.
+ * Unlike pipeline() into the response, an upstream failure leaves the
+ * response open long enough to write `errorEvent(error)` before ending
+ * it, so the client sees why the stream stopped. A client disconnect
+ * tears down the Gemini stream, which records the partial usage.
+ * `callback(error)` runs once the stream is done either way.
+ */
+function relayStream(source, transform, res, { errorEvent, callback }) {
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      source.destroy();
+    }
+  });
+
+  transform.pipe(res);
+
+  pipeline(source, transform, (error) => {
+    if (error && !res.destroyed && !res.writableEnded) {
+      transform.unpipe(res);
+      res.end(errorEvent(error));
+    }
+    callback(error);
+  });
+}
+
+module.exports = {
+  relayStream
+};
@@ -0,0 +1,223 @@
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const logger = require('./logger');
+const { pickPricingDetails } = require('./geminiRequest');
+
+/**
+ * Incremental parser for Gemini stream bodies. Handles both `alt=sse`
+ * event streams and the default chunked JSON array, detected from the
+ * first non-whitespace character.
+ */
+class GeminiStreamParser {
+  constructor(onMessage) {
+    this.onMessage = onMessage;
+    this.decoder = new StringDecoder('utf8');
+    this.format = null;
+
+    // SSE state
+    this.lineBuffer = '';
+    this.dataLines = [];
+
+    // JSON array state
+    this.objectBuffer = '';
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+  }
+
+  write(chunk) {
+    this.consume(this.decoder.write(chunk));
+  }
+
+  end() {
+    this.consume(this.decoder.end());
+    if (this.format === 'sse') {
+      if (this.lineBuffer) {
+        this.consumeLine(this.lineBuffer);
+        this.lineBuffer = '';
+      }
+      this.dispatchEvent();
+    }
+  }
+
+  consume(text) {
+    if (!text) {
+      return;
+    }
+
+    if (!this.format) {
+      const first = text.trimStart()[0];
+      if (!first) {
+        return;
+      }
+      this.format = first === '[' || first === '{' ? 'json' : 'sse';
+    }
+
+    if (this.format === 'sse') {
+      this.consumeSse(text);
+    } else {
+      this.consumeJson(text);
+    }
+  }
+
+  consumeSse(text) {
+    const lines = (this.lineBuffer + text).split(/\r?\n/);
+    this.lineBuffer = lines.pop();
+    for (const line of lines) {
+      this.consumeLine(line);
+    }
+  }
+
+  consumeLine(line) {
+    if (line === '') {
+      this.dispatchEvent();
+    } else if (line.startsWith('data:')) {
+      this.dataLines.push(line.slice(5).trimStart());
+    }
+  }
+
+  dispatchEvent() {
+    if (this.dataLines.length === 0) {
+      return;
+    }
+    const data = this.dataLines.join('\n');
+    this.dataLines = [];
+    this.emit(data);
+  }
+
+  consumeJson(text) {
+    for (const char of text) {
+      if (this.depth > 0) {
+        this.objectBuffer += char;
+      }
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (char === '\\') {
+          this.escaped = true;
+        } else if (char === '"') {
+          this.inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        this.inString = this.depth > 0;
+      } else if (char === '{') {
+        if (this.depth === 0) {
+          this.objectBuffer = char;
+        }
+        this.depth++;
+      } else if (char === '}' && this.depth > 0) {
+        this.depth--;
+        if (this.depth === 0) {
+          this.emit(this.objectBuffer);
+          this.objectBuffer = '';
+        }
+      }
+    }
+  }
+
+  emit(json) {
+    try {
+      this.onMessage(JSON.parse(json));
+    } catch (error) {
+      logger.debug('Skipping unparseable stream message', { error: error.message });
+    }
+  }
+}
+
+/**
+ * Create a pass-through stream that watches a Gemini streaming response
+ * and reports token usage exactly once, when the stream ends or is torn
+ * down early (for example because the client disconnected).
+ *
+ * `onComplete` receives `{ usage, completed }`. If the stream was cut short
+ * the usage is the best estimate from what was seen so far.
+ */
+function createUsageTap({ promptTokenEstimate = 0, onComplete }) {
+  let lastUsageMetadata = null;
+  let outputChars = 0;
+  let reported = false;
+
+  const parser = new GeminiStreamParser((message) => {
+    if (message.usageMetadata) {
+      lastUsageMetadata = message.usageMetadata;
+    }
+    for (const candidate of message.candidates || []) {
+      for (const part of candidate.content?.parts || []) {
+        if (typeof part.text === 'string') {
+          outputChars += part.text.length;
+        }
+      }
+    }
+  });
+
+  const report = (completed) => {
+    if (reported) {
+      return;
+    }
+    reported = true;
+
+    const estimatedOutput = Math.ceil(outputChars / 4);
+    let usage;
+
+    if (lastUsageMetadata) {
+      const promptTokenCount = lastUsageMetadata.promptTokenCount || 0;
+      // Mid-stream usageMetadata lags behind the text already delivered
+      const candidatesTokenCount = completed
+        ? lastUsageMetadata.candidatesTokenCount || 0
+        : Math.max(lastUsageMetadata.candidatesTokenCount || 0, estimatedOutput);
+      usage = {
+        ...pickPricingDetails(lastUsageMetadata),
+        promptTokenCount,
+        candidatesTokenCount,
+        totalTokenCount: completed && lastUsageMetadata.totalTokenCount
+          ? lastUsageMetadata.totalTokenCount
+          : promptTokenCount + candidatesTokenCount + (lastUsageMetadata.thoughtsTokenCount || 0)
+      };
+    } else {
+      usage = {
+        promptTokenCount: promptTokenEstimate,
+        candidatesTokenCount: estimatedOutput,
+        totalTokenCount: promptTokenEstimate + estimatedOutput
+      };
+    }
+
+    try {
+      onComplete({ usage, completed });
+    } catch (error) {
+      logger.error('Stream usage callback failed', { error: error.message });
+    }
+  };
+
+  const tap = new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        parser.write(chunk);
+      } catch (error) {
+        logger.debug('Stream usage parser error', { error: error.message });
+      }
+      callback(null, chunk);
+    },
+    flush(callback) {
+      try {
+        parser.end();
+      } catch (error) {
+        logger.debug('Stream usage parser error', { error: error.message });
+      }
+      report(true);
+      callback();
+    }
+  });
+
+  tap.on('close', () => report(false));
+
+  return tap;
+}
+
+module.exports = {
+  GeminiStreamParser,
+  createUsageTap
+};
@@ -0,0 +1,33 @@
+/**
+ * IANA timezone helpers for calendar-aligned quota periods
+ */
+
+function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || !timezone) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) of an instant in the given timezone
+ */
+function localDate(date, timezone) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(new Date(date));
+}
+
+module.exports = {
+  isValidTimezone,
+  localDate
+};
@@ -0,0 +1,99 @@
+const Joi = require('joi');
+const { ValidationError } = require('../middleware/errorHandler');
+const { validate } = require('./validation');
+
+/**
+ * Query parsing and aggregation for api_usage history reports, shared by
+ * the self-service and admin usage routes
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_HISTORY_DAYS = 30;
+const MAX_HISTORY_DAYS = 92;
+
+const historyQuerySchema = Joi.object({
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  limit: Joi.number().integer().min(1).max(500).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+function roundCost(cost) {
+  return parseFloat((parseFloat(cost) || 0).toFixed(6));
+}
+
+/**
+ * Resolve the history date range. A date-only `to` includes that whole day.
+ */
+function parseHistoryQuery(query) {
+  const value = validate(historyQuerySchema, query);
+
+  let to = value.to || new Date();
+  if (value.to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+    to = new Date(to.getTime() + DAY_MS);
+  }
+  const from = value.from || new Date(to.getTime() - DEFAULT_HISTORY_DAYS * DAY_MS);
+
+  if (from >= to) {
+    throw new ValidationError('"from" must be before "to"');
+  }
+  if (to - from > MAX_HISTORY_DAYS * DAY_MS) {
+    throw new ValidationError(`The history range cannot exceed ${MAX_HISTORY_DAYS} days`);
+  }
+
+  return { from, to, limit: value.limit, offset: value.offset };
+}
+
+/**
+ * Round the costs in a breakdown from get_usage_history
+ */
+function breakdown(groups, keyName) {
+  return (groups || []).map(group => ({
+    [keyName]: group[keyName],
+    requests: Number(group.requests) || 0,
+    tokens: Number(group.tokens) || 0,
+    cost: roundCost(group.cost)
+  }));
+}
+
+/**
+ * Build the history report for the parsed query range from the
+ * get_usage_history aggregates and one page of api_usage rows (newest
+ * first). Breakdowns cover the whole range; only records are paged.
+ */
+function buildUsageHistory(history, records, query) {
+  const total = Number(history?.totals?.requests) || 0;
+
+  return {
+    from: query.from.toISOString(),
+    to: query.to.toISOString(),
+    timezone: history?.timezone || null,
+    totals: {
+      requests: total,
+      tokens: Number(history?.totals?.tokens) || 0,
+      cost: roundCost(history?.totals?.cost)
+    },
+    by_day: breakdown(history?.by_day, 'date'),
+    by_model: breakdown(history?.by_model, 'model'),
+    by_request_type: breakdown(history?.by_request_type, 'request_type'),
+    records: records.map(record => ({
+      timestamp: record.timestamp,
+      model: record.model_name,
+      request_type: record.request_type,
+      tokens: Number(record.tokens_used) || 0,
+      cost: roundCost(record.cost)
+    })),
+    pagination: {
+      limit: query.limit,
+      offset: query.offset,
+      total,
+      has_more: query.offset + records.length < total
+    }
+  };
+}
+
+module.exports = {
+  roundCost,
+  parseHistoryQuery,
+  buildUsageHistory
+};
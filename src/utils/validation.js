@@ -0,0 +1,20 @@
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Validate input against a joi schema, returning the converted value or
+ * throwing a ValidationError with one `{ field, message }` per problem
+ */
+function validate(schema, input) {
+  const { error, value } = schema.validate(input);
+  if (error) {
+    throw new ValidationError(error.message, error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    })));
+  }
+  return value;
+}
+
+module.exports = {
+  validate
+};
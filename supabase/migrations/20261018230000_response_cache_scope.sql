@@ -0,0 +1,7 @@
+-- Tenant-scoped response cache.
+--
+-- With RESPONSE_CACHE_SCOPE=tenant (or `X-Proxy-Cache-Scope: tenant`)
+-- users with the same `user_profiles.organization_id` share cached
+-- responses; users without one keep their own entries.
+
+alter table public.user_profiles add column if not exists organization_id uuid;
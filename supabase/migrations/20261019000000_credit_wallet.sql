@@ -0,0 +1,231 @@
+-- Prepaid credit wallets (USD).
+--
+-- `credit_wallets.balance` is settled credit and `held` the sum of open
+-- holds for in-flight requests; a request is admitted only while
+-- `balance - held` covers its estimated cost. Every change to `balance` is
+-- written to `credit_ledger` in the same transaction. The proxy only goes
+-- through the functions below, which lock the wallet row so parallel
+-- requests are checked one at a time.
+
+create table if not exists public.credit_wallets (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  balance numeric(14, 6) not null default 0,
+  held numeric(14, 6) not null default 0 check (held >= 0),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists public.credit_holds (
+  id uuid primary key,
+  user_id uuid not null references public.credit_wallets (user_id) on delete cascade,
+  amount numeric(14, 6) not null check (amount >= 0),
+  request_id text,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null
+);
+
+create index if not exists credit_holds_user_id_expires_at_idx
+  on public.credit_holds (user_id, expires_at);
+
+create table if not exists public.credit_ledger (
+  id bigint generated always as identity primary key,
+  user_id uuid not null references public.credit_wallets (user_id) on delete cascade,
+  entry_type text not null check (entry_type in ('topup', 'debit', 'refund', 'adjustment')),
+  -- Positive amounts add credit, negative amounts remove it
+  amount numeric(14, 6) not null,
+  balance_after numeric(14, 6) not null,
+  -- Hold id for debits; payment or ticket id for the other types. Unique
+  -- per user and type so retried top-ups are applied once.
+  reference text,
+  description text,
+  created_by uuid,
+  created_at timestamptz not null default now(),
+  unique (user_id, entry_type, reference)
+);
+
+create index if not exists credit_ledger_user_id_created_at_idx
+  on public.credit_ledger (user_id, created_at desc);
+
+-- Only the service role reads or writes credit data
+alter table public.credit_wallets enable row level security;
+alter table public.credit_holds enable row level security;
+alter table public.credit_ledger enable row level security;
+
+-- Hold p_amount against the wallet. status is 'held', 'insufficient' when
+-- the available balance does not cover it, or 'no_wallet'.
+create or replace function public.credit_reserve(
+  p_user_id uuid,
+  p_hold_id uuid,
+  p_amount numeric,
+  p_request_id text default null,
+  p_ttl_seconds integer default 300
+)
+returns table (status text, balance numeric, held numeric)
+language plpgsql
+as $$
+declare
+  v_balance numeric;
+  v_held numeric;
+  v_expired numeric;
+  v_status text := 'insufficient';
+begin
+  select w.balance, w.held into v_balance, v_held
+  from public.credit_wallets w
+  where w.user_id = p_user_id
+  for update;
+
+  if not found then
+    return query select 'no_wallet'::text, 0::numeric, 0::numeric;
+    return;
+  end if;
+
+  -- Holds left by requests that were never settled lapse after their TTL
+  with expired as (
+    delete from public.credit_holds h
+    where h.user_id = p_user_id and h.expires_at <= now()
+    returning h.amount
+  )
+  select coalesce(sum(e.amount), 0) into v_expired from expired e;
+  v_held := greatest(v_held - v_expired, 0);
+
+  if v_balance - v_held >= p_amount then
+    insert into public.credit_holds (id, user_id, amount, request_id, expires_at)
+    values (p_hold_id, p_user_id, p_amount, p_request_id, now() + make_interval(secs => p_ttl_seconds));
+    v_held := v_held + p_amount;
+    v_status := 'held';
+  end if;
+
+  update public.credit_wallets w
+  set held = v_held, updated_at = now()
+  where w.user_id = p_user_id;
+
+  return query select v_status, v_balance, v_held;
+end;
+$$;
+
+-- Replace a hold with a debit for the actual cost. The debit is written
+-- even if the hold has lapsed, and at most once per hold. The balance may
+-- go below zero when the cost exceeds the estimate.
+create or replace function public.credit_settle(
+  p_user_id uuid,
+  p_hold_id uuid,
+  p_amount numeric,
+  p_description text default null
+)
+returns table (balance numeric, held numeric)
+language plpgsql
+as $$
+declare
+  v_balance numeric;
+  v_held numeric;
+  v_hold_amount numeric;
+begin
+  select w.balance, w.held into v_balance, v_held
+  from public.credit_wallets w
+  where w.user_id = p_user_id
+  for update;
+
+  if not found then
+    return;
+  end if;
+
+  delete from public.credit_holds h
+  where h.id = p_hold_id
+  returning h.amount into v_hold_amount;
+
+  v_held := greatest(v_held - coalesce(v_hold_amount, 0), 0);
+
+  if p_amount <> 0 and not exists (
+    select 1 from public.credit_ledger l
+    where l.user_id = p_user_id and l.entry_type = 'debit' and l.reference = p_hold_id::text
+  ) then
+    v_balance := v_balance - p_amount;
+
+    insert into public.credit_ledger (user_id, entry_type, amount, balance_after, reference, description)
+    values (p_user_id, 'debit', -p_amount, v_balance, p_hold_id::text, p_description);
+  end if;
+
+  update public.credit_wallets w
+  set balance = v_balance, held = v_held, updated_at = now()
+  where w.user_id = p_user_id;
+
+  return query select v_balance, v_held;
+end;
+$$;
+
+-- Drop a hold without charging for it
+create or replace function public.credit_release(p_hold_id uuid)
+returns void
+language sql
+as $$
+  with released as (
+    delete from public.credit_holds h
+    where h.id = p_hold_id
+    returning h.user_id, h.amount
+  )
+  update public.credit_wallets w
+  set held = greatest(w.held - r.amount, 0), updated_at = now()
+  from released r
+  where w.user_id = r.user_id;
+$$;
+
+-- Add a top-up, refund or adjustment, creating the wallet on first use.
+-- Repeating a reference returns the existing entry with replayed = true
+-- instead of applying it twice.
+create or replace function public.credit_apply(
+  p_user_id uuid,
+  p_entry_type text,
+  p_amount numeric,
+  p_reference text default null,
+  p_description text default null,
+  p_created_by uuid default null
+)
+returns table (entry jsonb, replayed boolean)
+language plpgsql
+as $$
+declare
+  v_balance numeric;
+  v_entry public.credit_ledger%rowtype;
+begin
+  if p_entry_type not in ('topup', 'refund', 'adjustment') then
+    raise exception 'Unsupported credit entry type: %', p_entry_type;
+  end if;
+
+  insert into public.credit_wallets (user_id)
+  values (p_user_id)
+  on conflict (user_id) do nothing;
+
+  select w.balance into v_balance
+  from public.credit_wallets w
+  where w.user_id = p_user_id
+  for update;
+
+  if p_reference is not null then
+    select * into v_entry
+    from public.credit_ledger l
+    where l.user_id = p_user_id and l.entry_type = p_entry_type and l.reference = p_reference;
+
+    if found then
+      return query select to_jsonb(v_entry), true;
+      return;
+    end if;
+  end if;
+
+  v_balance := v_balance + p_amount;
+
+  update public.credit_wallets w
+  set balance = v_balance, updated_at = now()
+  where w.user_id = p_user_id;
+
+  insert into public.credit_ledger (user_id, entry_type, amount, balance_after, reference, description, created_by)
+  values (p_user_id, p_entry_type, p_amount, v_balance, p_reference, p_description, p_created_by)
+  returning * into v_entry;
+
+  return query select to_jsonb(v_entry), false;
+end;
+$$;
+
+revoke execute on function public.credit_reserve(uuid, uuid, numeric, text, integer) from public, anon, authenticated;
+revoke execute on function public.credit_settle(uuid, uuid, numeric, text) from public, anon, authenticated;
+revoke execute on function public.credit_release(uuid) from public, anon, authenticated;
+revoke execute on function public.credit_apply(uuid, text, numeric, text, text, uuid) from public, anon, authenticated;
@@ -0,0 +1,121 @@
+-- Calendar-aligned quota periods.
+--
+-- Hourly, daily and monthly quotas reset at the start of the hour, day and
+-- month in the user's timezone: `user_profiles.timezone`, else their
+-- organization's `organizations.timezone`, else the default passed by the
+-- proxy (QUOTA_TIMEZONE). Monthly limits are optional and unlimited when null.
+
+alter table public.user_profiles add column if not exists timezone text;
+alter table public.user_profiles add column if not exists organization_id uuid;
+
+create table if not exists public.organizations (
+  id uuid primary key,
+  name text,
+  created_at timestamptz not null default now()
+);
+
+alter table public.organizations add column if not exists timezone text;
+
+alter table public.user_limits add column if not exists tokens_per_month bigint;
+alter table public.user_limits add column if not exists max_cost_per_month numeric(10, 2);
+
+create index if not exists api_usage_user_id_timestamp_idx
+  on public.api_usage (user_id, timestamp desc);
+
+-- Usage in the current hour, day and month, whether each is within the
+-- user's limits, and when each period started and resets
+create or replace function public.check_user_quotas(
+  p_user_id uuid,
+  p_default_timezone text default 'UTC'
+)
+returns table (
+  timezone text,
+  requests_this_hour bigint,
+  tokens_today bigint,
+  cost_today numeric,
+  tokens_this_month bigint,
+  cost_this_month numeric,
+  within_hourly_limit boolean,
+  within_daily_token_limit boolean,
+  within_daily_cost_limit boolean,
+  within_monthly_token_limit boolean,
+  within_monthly_cost_limit boolean,
+  hour_started_at timestamptz,
+  hour_resets_at timestamptz,
+  day_started_at timestamptz,
+  day_resets_at timestamptz,
+  month_started_at timestamptz,
+  month_resets_at timestamptz
+)
+language plpgsql
+stable
+as $$
+declare
+  v_timezone text;
+  v_local timestamp;
+  v_limits public.user_limits%rowtype;
+  v_requests_this_hour bigint;
+  v_tokens_today bigint;
+  v_cost_today numeric;
+  v_tokens_this_month bigint;
+  v_cost_this_month numeric;
+  v_hour_start timestamptz;
+  v_day_start timestamptz;
+  v_month_start timestamptz;
+begin
+  select coalesce(p.timezone, o.timezone, p_default_timezone) into v_timezone
+  from public.user_profiles p
+  left join public.organizations o on o.id = p.organization_id
+  where p.user_id = p_user_id;
+
+  v_timezone := coalesce(v_timezone, p_default_timezone);
+
+  -- An unknown zone name falls back to the default rather than failing
+  begin
+    v_local := now() at time zone v_timezone;
+  exception when invalid_parameter_value then
+    v_timezone := p_default_timezone;
+    v_local := now() at time zone v_timezone;
+  end;
+
+  v_hour_start := date_trunc('hour', v_local) at time zone v_timezone;
+  v_day_start := date_trunc('day', v_local) at time zone v_timezone;
+  v_month_start := date_trunc('month', v_local) at time zone v_timezone;
+
+  select
+    count(*) filter (where u.timestamp >= v_hour_start),
+    coalesce(sum(u.tokens_used) filter (where u.timestamp >= v_day_start), 0),
+    coalesce(sum(u.cost) filter (where u.timestamp >= v_day_start), 0),
+    coalesce(sum(u.tokens_used), 0),
+    coalesce(sum(u.cost), 0)
+  into v_requests_this_hour, v_tokens_today, v_cost_today, v_tokens_this_month, v_cost_this_month
+  from public.api_usage u
+  where u.user_id = p_user_id
+    and u.timestamp >= least(v_month_start, v_hour_start);
+
+  select * into v_limits
+  from public.user_limits l
+  where l.user_id = p_user_id;
+
+  return query select
+    v_timezone,
+    v_requests_this_hour,
+    v_tokens_today,
+    v_cost_today,
+    v_tokens_this_month,
+    v_cost_this_month,
+    v_limits.requests_per_hour is null or v_requests_this_hour < v_limits.requests_per_hour,
+    v_limits.tokens_per_day is null or v_tokens_today < v_limits.tokens_per_day,
+    v_limits.max_cost_per_day is null or v_cost_today < v_limits.max_cost_per_day,
+    v_limits.tokens_per_month is null or v_tokens_this_month < v_limits.tokens_per_month,
+    v_limits.max_cost_per_month is null or v_cost_this_month < v_limits.max_cost_per_month,
+    v_hour_start,
+    (date_trunc('hour', v_local) + interval '1 hour') at time zone v_timezone,
+    v_day_start,
+    (date_trunc('day', v_local) + interval '1 day') at time zone v_timezone,
+    v_month_start,
+    (date_trunc('month', v_local) + interval '1 month') at time zone v_timezone;
+end;
+$$;
+
+revoke execute on function public.check_user_quotas(uuid, text) from public, anon, authenticated;
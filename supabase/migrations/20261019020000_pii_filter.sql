@@ -0,0 +1,13 @@
+-- Personal data filter settings per organization.
+--
+-- `organizations.pii_mode` is 'off', 'log', 'mask' or 'block' and
+-- `pii_restore` whether masked values are put back into responses; null
+-- falls back to the proxy's PII_FILTER_MODE and PII_RESTORE_RESPONSES.
+-- `api_usage.metadata` holds per-request details such as redaction counts:
+-- `{"pii": {"mode": "mask", "redactions": {"email": 2}}}`.
+
+alter table public.organizations add column if not exists pii_mode text
+  check (pii_mode in ('off', 'log', 'mask', 'block'));
+alter table public.organizations add column if not exists pii_restore boolean;
+
+alter table public.api_usage add column if not exists metadata jsonb;
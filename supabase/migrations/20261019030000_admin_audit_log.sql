@@ -0,0 +1,24 @@
+-- Audit log of changes made through the admin API.
+--
+-- Each row records the acting admin, the user that was changed and the
+-- before/after values of the changed fields. Read back newest first by
+-- `GET /api/admin/audit`, optionally filtered by target user.
+
+create table if not exists public.admin_audit_log (
+  id bigint generated always as identity primary key,
+  admin_id uuid not null,
+  target_user_id uuid,
+  action text not null,
+  before jsonb,
+  after jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists admin_audit_log_created_at_idx
+  on public.admin_audit_log (created_at desc);
+
+create index if not exists admin_audit_log_target_user_id_created_at_idx
+  on public.admin_audit_log (target_user_id, created_at desc);
+
+-- Only the service role reads or writes the audit log
+alter table public.admin_audit_log enable row level security;
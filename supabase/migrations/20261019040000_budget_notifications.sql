@@ -0,0 +1,28 @@
+-- Budget threshold webhook events.
+--
+-- The proxy inserts a row before sending a notification. The unique
+-- constraint on (user_id, metric, threshold, period) makes that insert the
+-- claim: a second request or instance crossing the same threshold in the
+-- same quota day gets a unique violation and does not send it again.
+-- `period` is the local date in the user's quota timezone.
+
+create table if not exists public.budget_notifications (
+  id uuid primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  metric text not null check (metric in ('tokens', 'cost')),
+  threshold numeric not null,
+  period date not null,
+  used numeric not null,
+  "limit" numeric not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'delivered', 'failed', 'superseded')),
+  attempts integer not null default 0,
+  last_error text,
+  delivered_at timestamptz,
+  created_at timestamptz not null default now(),
+  constraint budget_notifications_user_metric_threshold_period_key
+    unique (user_id, metric, threshold, period)
+);
+
+-- Only the service role reads or writes notifications
+alter table public.budget_notifications enable row level security;
@@ -0,0 +1,86 @@
+-- Usage history aggregates.
+--
+-- `get_usage_history` returns the totals and the per-day, per-model and
+-- per-request-type breakdowns of a user's api_usage rows in [from, to),
+-- so reports never load the rows themselves. Days are calendar days in
+-- the user's quota timezone (see 20261019010000_calendar_quotas.sql), so
+-- they line up with the daily limits being enforced.
+
+-- The user's quota timezone: their own, else their organization's, else
+-- the default passed by the proxy. Unknown zone names fall back to the
+-- default.
+create or replace function public.user_quota_timezone(
+  p_user_id uuid,
+  p_default_timezone text default 'UTC'
+)
+returns text
+language plpgsql
+stable
+as $$
+declare
+  v_timezone text;
+begin
+  select coalesce(p.timezone, o.timezone) into v_timezone
+  from public.user_profiles p
+  left join public.organizations o on o.id = p.organization_id
+  where p.user_id = p_user_id;
+
+  if v_timezone is null or not exists (select 1 from pg_timezone_names where name = v_timezone) then
+    return p_default_timezone;
+  end if;
+
+  return v_timezone;
+end;
+$$;
+
+create or replace function public.get_usage_history(
+  p_user_id uuid,
+  p_from timestamptz,
+  p_to timestamptz,
+  p_default_timezone text default 'UTC'
+)
+returns jsonb
+language plpgsql
+stable
+as $$
+declare
+  v_timezone text := public.user_quota_timezone(p_user_id, p_default_timezone);
+begin
+  return (
+    with history as (
+      select
+        (u.timestamp at time zone v_timezone)::date as day,
+        u.model_name,
+        u.request_type,
+        coalesce(u.tokens_used, 0) as tokens,
+        coalesce(u.cost, 0) as cost
+      from public.api_usage u
+      where u.user_id = p_user_id
+        and u.timestamp >= p_from
+        and u.timestamp < p_to
+    )
+    select jsonb_build_object(
+      'timezone', v_timezone,
+      'totals', (
+        select jsonb_build_object('requests', count(*), 'tokens', coalesce(sum(tokens), 0), 'cost', coalesce(sum(cost), 0))
+        from history
+      ),
+      'by_day', coalesce((
+        select jsonb_agg(jsonb_build_object('date', day, 'requests', requests, 'tokens', tokens, 'cost', cost) order by day)
+        from (select day, count(*) as requests, sum(tokens) as tokens, sum(cost) as cost from history group by day) d
+      ), '[]'::jsonb),
+      'by_model', coalesce((
+        select jsonb_agg(jsonb_build_object('model', model_name, 'requests', requests, 'tokens', tokens, 'cost', cost) order by cost desc)
+        from (select model_name, count(*) as requests, sum(tokens) as tokens, sum(cost) as cost from history group by model_name) m
+      ), '[]'::jsonb),
+      'by_request_type', coalesce((
+        select jsonb_agg(jsonb_build_object('request_type', request_type, 'requests', requests, 'tokens', tokens, 'cost', cost) order by cost desc)
+        from (select request_type, count(*) as requests, sum(tokens) as tokens, sum(cost) as cost from history group by request_type) r
+      ), '[]'::jsonb)
+    )
+  );
+end;
+$$;
+
+revoke execute on function public.user_quota_timezone(uuid, text) from public, anon, authenticated;
+revoke execute on function public.get_usage_history(uuid, timestamptz, timestamptz, text) from public, anon, authenticated;
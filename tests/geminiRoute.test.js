@@ -0,0 +1,152 @@
+const express = require('express');
+const request = require('supertest');
+const { Response } = require('node-fetch');
+const supabaseService = require('../src/services/supabase');
+const upstreamClient = require('../src/services/upstream');
+const geminiRoutes = require('../src/routes/gemini');
+
+const generateBody = {
+  contents: [{ role: 'user', parts: [{ text: 'Hello' }] }]
+};
+
+const withinLimits = {
+  within_hourly_limit: true,
+  within_daily_token_limit: true,
+  within_daily_cost_limit: true,
+  within_monthly_token_limit: true,
+  within_monthly_cost_limit: true,
+  requests_this_hour: 0,
+  tokens_today: 0,
+  cost_today: 0,
+  tokens_this_month: 0,
+  cost_this_month: 0
+};
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/gemini', geminiRoutes);
+  return app;
+}
+
+function upstreamReply(data) {
+  return {
+    response: new Response(JSON.stringify(data), {
+      status: 200,
+      headers: { 'content-type': 'application/json' }
+    }),
+    apiKey: null
+  };
+}
+
+describe('native Gemini route paths', () => {
+  let app;
+  let tier;
+
+  beforeEach(() => {
+    app = buildApp();
+    tier = 'premium';
+
+    jest.spyOn(supabaseService, 'verifyToken')
+      .mockResolvedValue({ user: { id: 'user-1', email: 'user@example.com' }, error: null });
+    jest.spyOn(supabaseService, 'getUserProfile')
+      .mockImplementation(async () => ({ is_active: true, subscription_tier: tier }));
+    jest.spyOn(supabaseService, 'checkUserLimits').mockResolvedValue(withinLimits);
+    jest.spyOn(supabaseService, 'getUserLimits')
+      .mockResolvedValue({ requests_per_hour: 100, tokens_per_day: 100000, max_cost_per_day: 50 });
+    jest.spyOn(supabaseService, 'recordUsage').mockResolvedValue();
+    jest.spyOn(upstreamClient, 'request').mockImplementation(async () => upstreamReply({
+      candidates: [{ content: { parts: [{ text: 'Hi' }] } }],
+      usageMetadata: { promptTokenCount: 2, candidatesTokenCount: 1, totalTokenCount: 3 }
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('forwards a model call to the same path', async () => {
+    const res = await request(app)
+      .post('/api/gemini/v1beta/models/gemini-2.5-pro:generateContent')
+      .set('Authorization', 'Bearer token')
+      .send(generateBody);
+
+    expect(res.status).toBe(200);
+    expect(upstreamClient.request).toHaveBeenCalledWith(expect.objectContaining({
+      path: '/v1beta/models/gemini-2.5-pro:generateContent',
+      method: 'POST',
+      model: 'gemini-2.5-pro'
+    }));
+  });
+
+  it.each([
+    '/api/gemini/v1beta/./models/gemini-2.5-pro:generateContent',
+    '/api/gemini/v1beta/models/../models/gemini-2.5-pro:generateContent',
+    '/api/gemini/v1beta/files/../models/gemini-2.5-pro:generateContent'
+  ])('forwards the normalized path for %s', async (path) => {
+    const res = await request(app)
+      .post(path)
+      .set('Authorization', 'Bearer token')
+      .send(generateBody);
+
+    expect(res.status).toBe(200);
+    expect(upstreamClient.request).toHaveBeenCalledWith(expect.objectContaining({
+      path: '/v1beta/models/gemini-2.5-pro:generateContent',
+      model: 'gemini-2.5-pro'
+    }));
+  });
+
+  it('applies the tier policy to the normalized model', async () => {
+    tier = 'free';
+
+    const res = await request(app)
+      .post('/api/gemini/v1beta/files/../models/gemini-2.5-pro:generateContent')
+      .set('Authorization', 'Bearer token')
+      .send(generateBody);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Model not allowed');
+    expect(upstreamClient.request).not.toHaveBeenCalled();
+  });
+
+  it('keeps the query string when forwarding', async () => {
+    const res = await request(app)
+      .post('/api/gemini/v1beta/./models/gemini-2.5-pro:generateContent?alt=json')
+      .set('Authorization', 'Bearer token')
+      .send(generateBody);
+
+    expect(res.status).toBe(200);
+    expect(upstreamClient.request).toHaveBeenCalledWith(expect.objectContaining({
+      path: '/v1beta/models/gemini-2.5-pro:generateContent?alt=json'
+    }));
+  });
+
+  it('rejects a POST that is not a model call', async () => {
+    const res = await request(app)
+      .post('/api/gemini/v1beta/files')
+      .set('Authorization', 'Bearer token')
+      .send({ file: { displayName: 'notes' } });
+
+    expect(res.status).toBe(404);
+    expect(res.body).toMatchObject({
+      error: 'Not Found',
+      details: { method: 'POST', path: '/v1beta/files' }
+    });
+    expect(upstreamClient.request).not.toHaveBeenCalled();
+  });
+
+  it('lets model listings through without a model', async () => {
+    upstreamClient.request.mockImplementation(async () => upstreamReply({ models: [] }));
+
+    const res = await request(app)
+      .get('/api/gemini/v1beta/models')
+      .set('Authorization', 'Bearer token');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ models: [] });
+    expect(upstreamClient.request).toHaveBeenCalledWith(expect.objectContaining({
+      path: '/v1beta/models',
+      method: 'GET'
+    }));
+  });
+});
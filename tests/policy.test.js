@@ -0,0 +1,122 @@
+const { checkTierPolicy, enforceTierPolicy } = require('../src/middleware/policy');
+
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+function runPolicy({ tier = 'free', method = 'POST', gemini = {}, body = {} } = {}) {
+  const req = {
+    method,
+    body,
+    gemini,
+    user: { id: 'user-1' },
+    userProfile: { subscription_tier: tier }
+  };
+  const res = mockResponse();
+  const next = jest.fn();
+
+  enforceTierPolicy(req, res, next);
+  return { res, next };
+}
+
+describe('checkTierPolicy', () => {
+  const generateCall = { method: 'generate', action: 'generateContent', body: {} };
+
+  it('allows a model the tier includes', () => {
+    expect(checkTierPolicy('free', { ...generateCall, model: 'gemini-1.5-flash' })).toBeNull();
+  });
+
+  it('denies a model outside the tier', () => {
+    expect(checkTierPolicy('free', { ...generateCall, model: 'gemini-2.5-pro' })).toMatchObject({
+      error: 'Model not allowed',
+      details: { tier: 'free', model: 'gemini-2.5-pro' }
+    });
+  });
+
+  it('allows the same model on a higher tier', () => {
+    expect(checkTierPolicy('premium', { ...generateCall, model: 'gemini-2.5-pro' })).toBeNull();
+  });
+
+  it('denies actions without a policy method', () => {
+    expect(checkTierPolicy('enterprise', {
+      model: 'gemini-2.5-pro',
+      method: null,
+      action: 'predictLongRunning',
+      body: {}
+    })).toMatchObject({
+      error: 'Method not allowed',
+      details: { method: null, action: 'predictLongRunning' }
+    });
+  });
+
+  it('denies features outside the tier', () => {
+    expect(checkTierPolicy('free', {
+      ...generateCall,
+      model: 'gemini-1.5-flash',
+      body: { tools: [{ functionDeclarations: [] }] }
+    })).toMatchObject({
+      error: 'Feature not allowed',
+      details: { feature: 'tools' }
+    });
+  });
+
+  it('treats unknown tiers as free', () => {
+    expect(checkTierPolicy('trial', { ...generateCall, model: 'gemini-2.5-pro' })).toMatchObject({
+      error: 'Model not allowed'
+    });
+  });
+});
+
+describe('enforceTierPolicy', () => {
+  it('passes an allowed model call on', () => {
+    const { res, next } = runPolicy({
+      gemini: { model: 'gemini-1.5-flash', method: 'generate', action: 'generateContent' }
+    });
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it('rejects a denied model call with 403', () => {
+    const { res, next } = runPolicy({
+      gemini: { model: 'gemini-2.5-pro', method: 'generate', action: 'generateContent' }
+    });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Model not allowed' }));
+  });
+
+  it('passes reads without a model on', () => {
+    const { res, next } = runPolicy({ method: 'GET', gemini: { model: null } });
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it.each(['POST', 'PUT', 'DELETE'])('rejects a %s without a model', (method) => {
+    const { res, next } = runPolicy({ method, gemini: { model: null, path: '/v1beta/files' } });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({
+      error: 'Model required',
+      message: 'Only Gemini model calls are allowed with this method',
+      details: { method }
+    });
+  });
+
+  it('rejects a POST with no request description at all', () => {
+    const req = { method: 'POST', body: {}, user: { id: 'user-1' } };
+    const res = mockResponse();
+    const next = jest.fn();
+
+    enforceTierPolicy(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
@@ -0,0 +1,203 @@
+const { EventEmitter } = require('events');
+const supabaseService = require('../src/services/supabase');
+const budgetReservations = require('../src/services/budgetReservations');
+const creditWallet = require('../src/services/creditWallet');
+const geminiService = require('../src/services/gemini');
+const { reserveEstimatedUsage, reserveCreditHold } = require('../src/middleware/rateLimiter');
+
+const estimatedTokens = { input: 1000, total: 3000 };
+
+const userLimits = {
+  tokens_today: 0,
+  cost_today: 0,
+  tokens_this_month: 0,
+  cost_this_month: 0,
+  day_resets_at: '2026-10-20T00:00:00.000Z',
+  month_resets_at: '2026-11-01T00:00:00.000Z'
+};
+
+function mockResponse() {
+  const res = new EventEmitter();
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+function mockRequest(userId) {
+  return {
+    id: `request-${userId}`,
+    user: { id: userId },
+    gemini: { model: 'gemini-1.5-flash' },
+    estimatedTokens,
+    userLimits
+  };
+}
+
+// Without Redis, outstanding reservations are kept in process memory
+function outstanding(userId) {
+  return budgetReservations.memory.get(userId) || { tokens: 0, cost: 0 };
+}
+
+// Close handlers release without being awaited
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+async function reserve(userId) {
+  const req = mockRequest(userId);
+  const res = mockResponse();
+  const next = jest.fn();
+
+  await reserveEstimatedUsage(req, res, next);
+  return { req, res, next };
+}
+
+async function holdCredit(userId) {
+  const req = mockRequest(userId);
+  const res = mockResponse();
+  const next = jest.fn();
+
+  await reserveCreditHold(req, res, next);
+  return { req, res, next };
+}
+
+describe('budget reservations', () => {
+  beforeEach(() => {
+    jest.spyOn(supabaseService, 'getUserLimits')
+      .mockResolvedValue({ tokens_per_day: 100000, max_cost_per_day: 50 });
+    jest.spyOn(supabaseService, 'recordUsage').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('holds the estimate until the request closes unmetered', async () => {
+    const { req, res, next } = await reserve('user-unmetered');
+
+    expect(next).toHaveBeenCalled();
+    expect(req.budgetReservation).toMatchObject({ userId: 'user-unmetered', tokens: 3000, settling: false });
+    expect(outstanding('user-unmetered').tokens).toBe(3000);
+
+    res.emit('close');
+    await flush();
+
+    expect(req.budgetReservation.released).toBe(true);
+    expect(outstanding('user-unmetered').tokens).toBe(0);
+  });
+
+  it('releases the estimate only after usage is written', async () => {
+    const { req, res } = await reserve('user-metered');
+    const reservation = req.budgetReservation;
+    const release = jest.spyOn(budgetReservations, 'release');
+
+    let whileWriting;
+    supabaseService.recordUsage.mockImplementation(async () => {
+      whileWriting = {
+        settling: reservation.settling,
+        released: release.mock.calls.length > 0,
+        tokens: outstanding('user-metered').tokens
+      };
+    });
+
+    const recording = geminiService.recordUsage(
+      'user-metered', { totalTokenCount: 2500 }, 'gemini-1.5-flash', 'generate', 0.001, null, null, reservation
+    );
+
+    // The client can go away while usage is being written
+    res.emit('close');
+    await recording;
+    await flush();
+
+    expect(whileWriting).toEqual({ settling: true, released: false, tokens: 3000 });
+    expect(release).toHaveBeenCalledTimes(1);
+    expect(release).toHaveBeenCalledWith(reservation);
+    expect(outstanding('user-metered').tokens).toBe(0);
+  });
+
+  it('counts outstanding reservations against the budget', async () => {
+    supabaseService.getUserLimits.mockResolvedValue({ tokens_per_day: 5000, max_cost_per_day: 50 });
+
+    const first = await reserve('user-parallel');
+    const second = await reserve('user-parallel');
+
+    expect(first.next).toHaveBeenCalled();
+    expect(second.next).not.toHaveBeenCalled();
+    expect(second.res.status).toHaveBeenCalledWith(429);
+    expect(second.res.json).toHaveBeenCalledWith(expect.objectContaining({
+      error: 'Token limit exceeded',
+      details: expect.objectContaining({ tokens_reserved: 6000, tokens_per_day: 5000 })
+    }));
+
+    // The rejected reservation is returned straight away
+    expect(outstanding('user-parallel').tokens).toBe(3000);
+
+    first.res.emit('close');
+    await flush();
+    expect(outstanding('user-parallel').tokens).toBe(0);
+  });
+});
+
+describe('credit holds', () => {
+  beforeEach(() => {
+    jest.spyOn(creditWallet, 'isEnabled').mockReturnValue(true);
+    jest.spyOn(supabaseService, 'reserveCredit')
+      .mockResolvedValue({ status: 'held', balance: 10, held: 0.01 });
+    jest.spyOn(supabaseService, 'releaseCredit').mockResolvedValue();
+    jest.spyOn(supabaseService, 'settleCredit').mockResolvedValue();
+    jest.spyOn(supabaseService, 'recordUsage').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('releases the hold when the request closes unmetered', async () => {
+    const { req, res, next } = await holdCredit('user-credit');
+
+    expect(next).toHaveBeenCalled();
+    expect(req.creditHold).toMatchObject({ userId: 'user-credit', settling: false });
+    expect(supabaseService.reserveCredit).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'user-credit',
+      holdId: req.creditHold.id,
+      requestId: 'request-user-credit'
+    }));
+
+    res.emit('close');
+    res.emit('close');
+    await flush();
+
+    expect(supabaseService.releaseCredit).toHaveBeenCalledTimes(1);
+    expect(supabaseService.releaseCredit).toHaveBeenCalledWith(req.creditHold.id);
+    expect(supabaseService.settleCredit).not.toHaveBeenCalled();
+  });
+
+  it('settles the hold to the actual cost instead of releasing it', async () => {
+    const { req, res } = await holdCredit('user-credit');
+    const hold = req.creditHold;
+
+    await geminiService.recordUsage(
+      'user-credit', { totalTokenCount: 2500 }, 'gemini-1.5-flash', 'generate', 0.0042, hold
+    );
+    res.emit('close');
+    await flush();
+
+    expect(supabaseService.settleCredit).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'user-credit',
+      holdId: hold.id,
+      amount: 0.0042
+    }));
+    expect(supabaseService.releaseCredit).not.toHaveBeenCalled();
+  });
+
+  it('rejects the request when the credit does not cover it', async () => {
+    supabaseService.reserveCredit.mockResolvedValue({ status: 'insufficient', balance: 0.001, held: 0 });
+
+    const { req, res, next } = await holdCredit('user-broke');
+
+    expect(next).not.toHaveBeenCalled();
+    expect(req.creditHold).toBeUndefined();
+    expect(res.status).toHaveBeenCalledWith(402);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Insufficient credit' }));
+  });
+});
@@ -0,0 +1,8 @@
+// Configuration the proxy refuses to start without; nothing here reaches
+// a real service, the tests stub Supabase and the upstream client
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.SUPABASE_URL = 'http://127.0.0.1:54321';
+process.env.SUPABASE_ANON_KEY = 'test-anon-key';
+process.env.SUPABASE_SERVICE_ROLE = 'test-service-role';
+process.env.GEMINI_API_KEY = 'test-gemini-key';